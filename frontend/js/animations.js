@@ -7,6 +7,107 @@ class AnimationManager {
     constructor() {
         this.animationDuration = 300; // Default animation duration in ms
         this.easingFunction = 'cubic-bezier(0.4, 0, 0.2, 1)'; // Material Design easing
+
+        // Motion preference: 'system' follows prefers-reduced-motion, 'reduce' and 'full' override it
+        this.storageKey = 'videoDownloader.motion';
+        this.preference = 'system';
+        this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+        // Change listeners (called with the manager after the effective motion setting changes)
+        this.listeners = [];
+
+        // Button contents replaced by a loading spinner, put back when loading ends
+        this.loadingContents = new WeakMap();
+    }
+
+    /**
+     * Register a listener for motion setting changes
+     * @param {Function} listener - Called with the manager after the motion setting changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners that the motion setting changed
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Whether animations should avoid movement
+     * @returns {boolean} True if the user or the system asked for reduced motion
+     */
+    isReducedMotion() {
+        if (this.preference === 'system') {
+            return Boolean(this.mediaQuery && this.mediaQuery.matches);
+        }
+        return this.preference === 'reduce';
+    }
+
+    /**
+     * Load the saved motion preference
+     * @returns {string} 'system', 'reduce' or 'full'
+     */
+    loadMotionPreference() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved === 'reduce' || saved === 'full') return saved;
+        } catch (error) {
+            // Storage unavailable: follow the system setting
+        }
+        return 'system';
+    }
+
+    /**
+     * Set the motion preference and remember it for the next visit
+     * @param {string} preference - 'system', 'reduce' or 'full'
+     */
+    setMotionPreference(preference) {
+        this.preference = ['reduce', 'full'].includes(preference) ? preference : 'system';
+
+        try {
+            if (this.preference === 'system') {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, this.preference);
+            }
+        } catch (error) {
+            // Storage unavailable: the choice lasts for this page only
+        }
+
+        this.applyMotion();
+    }
+
+    /**
+     * Mark the page with the effective motion setting so CSS can drop its own movement
+     */
+    applyMotion() {
+        document.documentElement.dataset.motion = this.isReducedMotion() ? 'reduce' : 'full';
+        this.notify();
+    }
+
+    /**
+     * Briefly dim an element and bring it back, the reduced-motion stand-in for shake, bounce and pulse
+     * @param {HTMLElement} element - Element to animate
+     * @param {number} duration - Animation duration in ms
+     */
+    flash(element, duration = this.animationDuration) {
+        if (!element) return;
+
+        element.style.transition = '';
+        element.style.opacity = '0.4';
+
+        // Force reflow
+        element.offsetHeight;
+
+        element.style.transition = `opacity ${duration}ms ease-in-out`;
+        element.style.opacity = '';
+
+        setTimeout(() => {
+            element.style.transition = '';
+        }, duration);
     }
 
     /**
@@ -18,15 +119,16 @@ class AnimationManager {
     fadeIn(element, duration = this.animationDuration, easing = this.easingFunction) {
         if (!element) return;
 
+        const reduced = this.isReducedMotion();
         element.style.opacity = '0';
-        element.style.transform = 'translateY(20px)';
+        element.style.transform = reduced ? '' : 'translateY(20px)';
         element.style.transition = `opacity ${duration}ms ${easing}, transform ${duration}ms ${easing}`;
         
         // Force reflow
         element.offsetHeight;
         
         element.style.opacity = '1';
-        element.style.transform = 'translateY(0)';
+        element.style.transform = reduced ? '' : 'translateY(0)';
         
         // Clean up after animation
         setTimeout(() => {
@@ -51,7 +153,9 @@ class AnimationManager {
 
             element.style.transition = `opacity ${duration}ms ${easing}, transform ${duration}ms ${easing}`;
             element.style.opacity = '0';
-            element.style.transform = 'translateY(-20px)';
+            if (!this.isReducedMotion()) {
+                element.style.transform = 'translateY(-20px)';
+            }
             
             setTimeout(() => {
                 element.style.display = 'none';
@@ -71,6 +175,12 @@ class AnimationManager {
     slideUp(element, duration = this.animationDuration, easing = this.easingFunction) {
         if (!element) return;
 
+        // Reduced motion keeps the fade and drops the slide
+        if (this.isReducedMotion()) {
+            this.fadeIn(element, duration, easing);
+            return;
+        }
+
         element.style.opacity = '0';
         element.style.transform = 'translateY(30px)';
         element.style.transition = `opacity ${duration}ms ${easing}, transform ${duration}ms ${easing}`;
@@ -96,6 +206,11 @@ class AnimationManager {
     scaleIn(element, duration = this.animationDuration) {
         if (!element) return;
 
+        if (this.isReducedMotion()) {
+            this.fadeIn(element, duration);
+            return;
+        }
+
         element.style.opacity = '0';
         element.style.transform = 'scale(0.8)';
         element.style.transition = `opacity ${duration}ms ${this.easingFunction}, transform ${duration}ms cubic-bezier(0.68, -0.55, 0.265, 1.55)`;
@@ -115,26 +230,23 @@ class AnimationManager {
 
     /**
      * Add loading spinner animation to button
+     * The button is marked with data-loading until removeLoadingState puts its contents back.
      * @param {HTMLElement} button - Button element
-     * @param {string} originalText - Original button text
      */
-    addLoadingState(button, originalText) {
+    addLoadingState(button) {
         if (!button) return;
 
         button.disabled = true;
-        button.dataset.originalText = originalText;
-        
-        const spinner = document.createElement('div');
-        spinner.className = 'button-spinner';
-        spinner.innerHTML = `
-            <div class="spinner-ring"></div>
-        `;
-        
-        button.innerHTML = '';
-        button.appendChild(spinner);
+        button.dataset.loading = 'true';
+        if (!this.loadingContents.has(button)) {
+            this.loadingContents.set(button, Array.from(button.childNodes));
+        }
         
-        // Add CSS for spinner if not already present
-        this.addSpinnerStyles();
+        domRenderer.render(button, [
+            domRenderer.create('div', { className: 'button-spinner' }, [
+                domRenderer.create('div', { className: 'spinner-ring' })
+            ])
+        ]);
     }
 
     /**
@@ -145,43 +257,12 @@ class AnimationManager {
         if (!button) return;
 
         button.disabled = false;
-        const originalText = button.dataset.originalText || 'Button';
-        
-        button.innerHTML = originalText;
-        delete button.dataset.originalText;
-    }
 
-    /**
-     * Add spinner CSS styles to document
-     */
-    addSpinnerStyles() {
-        if (document.getElementById('spinner-styles')) return;
-
-        const style = document.createElement('style');
-        style.id = 'spinner-styles';
-        style.textContent = `
-            .button-spinner {
-                display: flex;
-                align-items: center;
-                justify-content: center;
-            }
-            
-            .spinner-ring {
-                width: 20px;
-                height: 20px;
-                border: 2px solid transparent;
-                border-top: 2px solid currentColor;
-                border-radius: 50%;
-                animation: buttonSpin 1s linear infinite;
-            }
-            
-            @keyframes buttonSpin {
-                0% { transform: rotate(0deg); }
-                100% { transform: rotate(360deg); }
-            }
-        `;
-        
-        document.head.appendChild(style);
+        if (this.loadingContents.has(button)) {
+            domRenderer.render(button, this.loadingContents.get(button));
+            this.loadingContents.delete(button);
+        }
+        delete button.dataset.loading;
     }
 
     /**
@@ -192,6 +273,11 @@ class AnimationManager {
     pulse(element, duration = 600) {
         if (!element) return;
 
+        if (this.isReducedMotion()) {
+            this.flash(element, duration);
+            return;
+        }
+
         element.style.animation = `pulse ${duration}ms ease-in-out`;
         
         setTimeout(() => {
@@ -207,6 +293,11 @@ class AnimationManager {
     shake(element, duration = 500) {
         if (!element) return;
 
+        if (this.isReducedMotion()) {
+            this.flash(element, duration);
+            return;
+        }
+
         element.style.animation = `shake ${duration}ms ease-in-out`;
         
         setTimeout(() => {
@@ -222,6 +313,11 @@ class AnimationManager {
     bounce(element, duration = 600) {
         if (!element) return;
 
+        if (this.isReducedMotion()) {
+            this.flash(element, duration);
+            return;
+        }
+
         element.style.animation = `bounce ${duration}ms ease-in-out`;
         
         setTimeout(() => {
@@ -229,84 +325,6 @@ class AnimationManager {
         }, duration);
     }
 
-    /**
-     * Add CSS keyframes for animations
-     */
-    addAnimationKeyframes() {
-        if (document.getElementById('animation-keyframes')) return;
-
-        const style = document.createElement('style');
-        style.id = 'animation-keyframes';
-        style.textContent = `
-            @keyframes pulse {
-                0%, 100% { transform: scale(1); }
-                50% { transform: scale(1.05); }
-            }
-            
-            @keyframes shake {
-                0%, 100% { transform: translateX(0); }
-                10%, 30%, 50%, 70%, 90% { transform: translateX(-5px); }
-                20%, 40%, 60%, 80% { transform: translateX(5px); }
-            }
-            
-            @keyframes bounce {
-                0%, 20%, 53%, 80%, 100% { transform: translate3d(0,0,0); }
-                40%, 43% { transform: translate3d(0,-8px,0); }
-                70% { transform: translate3d(0,-4px,0); }
-                90% { transform: translate3d(0,-2px,0); }
-            }
-            
-            @keyframes slideInFromRight {
-                from {
-                    opacity: 0;
-                    transform: translateX(30px);
-                }
-                to {
-                    opacity: 1;
-                    transform: translateX(0);
-                }
-            }
-            
-            @keyframes slideInFromLeft {
-                from {
-                    opacity: 0;
-                    transform: translateX(-30px);
-                }
-                to {
-                    opacity: 1;
-                    transform: translateX(0);
-                }
-            }
-            
-            @keyframes zoomIn {
-                from {
-                    opacity: 0;
-                    transform: scale(0.3);
-                }
-                50% {
-                    opacity: 1;
-                }
-                to {
-                    opacity: 1;
-                    transform: scale(1);
-                }
-            }
-            
-            @keyframes fadeInUp {
-                from {
-                    opacity: 0;
-                    transform: translateY(30px);
-                }
-                to {
-                    opacity: 1;
-                    transform: translateY(0);
-                }
-            }
-        `;
-        
-        document.head.appendChild(style);
-    }
-
     /**
      * Animate quality button selection
      * @param {HTMLElement} button - Quality button element
@@ -349,6 +367,11 @@ class AnimationManager {
     animateProgress(progressBar, progress, duration = 1000) {
         if (!progressBar) return;
 
+        if (this.isReducedMotion()) {
+            progressBar.style.width = `${progress}%`;
+            return;
+        }
+
         progressBar.style.transition = `width ${duration}ms ${this.easingFunction}`;
         progressBar.style.width = `${progress}%`;
         
@@ -359,6 +382,7 @@ class AnimationManager {
 
     /**
      * Add hover effects to elements
+     * Shadows come from the --shadow-hover and --glow-hover theme tokens, so they follow theme changes.
      * @param {HTMLElement} element - Element to add hover effects to
      * @param {string} effect - Effect type ('lift', 'glow', 'scale')
      */
@@ -380,13 +404,16 @@ class AnimationManager {
         element.style.cssText += effects[effect] || effects.lift;
 
         element.addEventListener('mouseenter', () => {
+            // Checked on every hover so changing the setting applies to existing elements
+            if (this.isReducedMotion()) return;
+
             switch (effect) {
                 case 'lift':
                     element.style.transform = 'translateY(-2px)';
-                    element.style.boxShadow = '0 8px 25px rgba(0,0,0,0.15)';
+                    element.style.boxShadow = 'var(--shadow-hover)';
                     break;
                 case 'glow':
-                    element.style.boxShadow = '0 0 20px rgba(59, 130, 246, 0.3)';
+                    element.style.boxShadow = 'var(--glow-hover)';
                     break;
                 case 'scale':
                     element.style.transform = 'scale(1.02)';
@@ -401,11 +428,18 @@ class AnimationManager {
     }
 
     /**
-     * Initialize all animations
+     * Apply the motion setting
+     * Keyframes and spinner styles live in style.css.
      */
     init() {
-        this.addAnimationKeyframes();
-        this.addSpinnerStyles();
+        // Follow the system setting live while the user hasn't overridden it
+        this.preference = this.loadMotionPreference();
+        if (this.mediaQuery) {
+            this.mediaQuery.addEventListener('change', () => {
+                if (this.preference === 'system') this.applyMotion();
+            });
+        }
+        this.applyMotion();
     }
 }
 
@@ -5,33 +5,175 @@
 
 class VideoAPI {
     constructor() {
-        // Update this URL to your Railway backend URL after deployment
+        // Backend URL; empty means the page's own origin (chosen at startup, see BackendConfig)
         this.baseURL = '';
+
+        // Resolves once the backend URL is known; requests wait for it
+        this.ready = Promise.resolve();
         
         // API endpoints
         this.endpoints = {
             preview: '/preview',
+            playlist: '/playlist',
             download: '/download',
+            captions: '/captions',
+            jobs: '/jobs',
             health: '/health'
         };
+
+        // Job status polling interval when Server-Sent Events are unavailable
+        this.jobPollInterval = 2000;
+
+        // Retry attempts per endpoint for network failures, 429 and 5xx responses
+        // Downloads are never retried: a failed POST may still have started a job on the server
+        this.retryPolicy = {
+            preview: 2,
+            playlist: 2,
+            download: 0,
+            captions: 2,
+            jobs: 2,
+            health: 0
+        };
+
+        // Exponential backoff bounds in ms
+        this.retryBaseDelay = 1000;
+        this.retryMaxDelay = 30000;
+
+        // Preview results by video ID, and preview requests currently in flight
+        this.previewCache = new PreviewCache();
+        this.previewRequests = new Map();
+
+        // Output formats the backend can convert audio-only downloads to
+        this.audioFormats = ['mp3', 'm4a', 'opus'];
+
+        // Caption file formats the backend can produce
+        this.captionFormats = ['srt', 'vtt'];
+
+        // Display names for common codecs, keyed by the codec string's first part
+        this.codecNames = {
+            avc1: 'H.264',
+            avc3: 'H.264',
+            h264: 'H.264',
+            hev1: 'H.265',
+            hvc1: 'H.265',
+            vp8: 'VP8',
+            vp9: 'VP9',
+            vp09: 'VP9',
+            av01: 'AV1',
+            mp4a: 'AAC',
+            opus: 'Opus',
+            vorbis: 'Vorbis',
+            mp3: 'MP3',
+            flac: 'FLAC'
+        };
     }
 
     /**
-     * Set the backend URL (call this after deployment)
-     * @param {string} url - The Railway backend URL
+     * Set the backend URL
+     * @param {string} url - Backend URL, or an empty string for the page's own origin
      */
     setBackendURL(url) {
         this.baseURL = url.replace(/\/$/, ''); // Remove trailing slash
     }
 
     /**
-     * Make HTTP request to the API
+     * Make HTTP request to the API, retrying transient failures
      * @param {string} endpoint - API endpoint
      * @param {Object} options - Request options
+     * @param {number} options.retries - Retry attempts for transient failures (optional)
+     * @param {Function} options.onRetry - Called with { attempt, retries, delay, error } before each retry (optional)
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @param {string} options.baseURL - Send to this backend instead of the configured one (optional)
      * @returns {Promise} Response data
      */
     async makeRequest(endpoint, options = {}) {
-        const url = `${this.baseURL}${endpoint}`;
+        const { retries = 0, onRetry, ...requestOptions } = options;
+        await this.ready;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendRequest(endpoint, requestOptions);
+            } catch (error) {
+                const delay = this.getRetryDelay(error, attempt);
+                if (attempt >= retries || delay === null) {
+                    throw error;
+                }
+
+                if (onRetry) {
+                    onRetry({ attempt: attempt + 1, retries, delay, error });
+                }
+                await this.sleep(delay, requestOptions.signal);
+            }
+        }
+    }
+
+    /**
+     * Wait for a given time, stopping early if the signal is aborted
+     * @param {number} delay - Time to wait in ms
+     * @param {AbortSignal} signal - Signal to cancel the wait (optional)
+     * @returns {Promise} Resolves after the delay, rejects when cancelled
+     */
+    sleep(delay, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createCancelError());
+                return;
+            }
+
+            const timeoutId = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(this.createCancelError());
+            };
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Create the error thrown when the caller cancels a request
+     * @returns {APIError} Cancellation error
+     */
+    createCancelError() {
+        return new APIError('cancelled', 'Request cancelled');
+    }
+
+    /**
+     * Work out how long to wait before retrying a failed request
+     * @param {APIError} error - Error thrown by sendRequest
+     * @param {number} attempt - Number of retries already made
+     * @returns {number|null} Delay in ms, or null if the error should not be retried
+     */
+    getRetryDelay(error, attempt) {
+        if (!error.retryable) {
+            return null;
+        }
+
+        // Honor the server's Retry-After, but don't sit out waits longer than the cap
+        if (error.retryAfter !== undefined) {
+            return error.retryAfter <= this.retryMaxDelay ? error.retryAfter : null;
+        }
+
+        // Exponential backoff with jitter so clients don't retry in lockstep
+        const backoff = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** attempt);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Send a single HTTP request to the API
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @param {string} options.baseURL - Send to this backend instead of the configured one (optional)
+     * @returns {Promise} Response data
+     * @throws {APIError} Classified error when the request fails
+     */
+    async sendRequest(endpoint, { baseURL = this.baseURL, ...options } = {}) {
+        const url = `${baseURL}${endpoint}`;
         
         const defaultOptions = {
             headers: {
@@ -50,8 +192,20 @@ class VideoAPI {
             }
         };
 
+        // One controller for both the timeout and the caller's signal
+        const controller = new AbortController();
+        const callerSignal = options.signal;
+        const abortFromCaller = () => controller.abort();
+
+        if (callerSignal) {
+            if (callerSignal.aborted) {
+                controller.abort();
+            } else {
+                callerSignal.addEventListener('abort', abortFromCaller, { once: true });
+            }
+        }
+
         try {
-            const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), requestOptions.timeout);
             
             const response = await fetch(url, {
@@ -63,61 +217,493 @@ class VideoAPI {
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.detail || `HTTP ${response.status}: ${response.statusText}`);
+                throw APIError.fromResponse(response.status, errorData, response.headers);
             }
 
             return await response.json();
         } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout - please try again');
+            if (error.name === 'AbortError' && !(callerSignal && callerSignal.aborted)) {
+                throw new APIError('timeout', 'Request timeout - please try again');
+            }
+            throw APIError.from(error);
+        } finally {
+            if (callerSignal) {
+                callerSignal.removeEventListener('abort', abortFromCaller);
             }
-            throw error;
         }
     }
 
     /**
      * Get video preview information
-     * @param {string} url - YouTube video URL
+     * Results are cached by video ID, and identical concurrent requests share one API call.
+     * @param {string} url - Video URL
+     * @param {Object} options - Request options
+     * @param {Function} options.onRetry - Called before each retry (optional)
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @param {boolean} options.refresh - Skip the cache and fetch fresh data (optional)
      * @returns {Promise<Object>} Video information and available formats
      */
-    async getVideoPreview(url) {
+    async getVideoPreview(url, options = {}) {
+        const videoId = this.extractVideoID(url);
+        if (!videoId) {
+            return this.normalizePreview(await this.fetchPreview(url, options));
+        }
+
+        if (!options.refresh) {
+            const cached = await this.previewCache.get(videoId);
+            if (cached) {
+                return { ...cached.data, cached_at: cached.timestamp };
+            }
+        }
+
+        let shared = this.previewRequests.get(videoId);
+        if (!shared) {
+            const controller = new AbortController();
+            shared = {
+                controller,
+                waiters: 0,
+                promise: this.fetchPreview(url, { onRetry: options.onRetry, signal: controller.signal })
+                    .then(async (response) => {
+                        const preview = this.normalizePreview(response, videoId);
+                        await this.previewCache.set(videoId, preview);
+                        return preview;
+                    })
+                    .finally(() => this.previewRequests.delete(videoId))
+            };
+            this.previewRequests.set(videoId, shared);
+        }
+
+        return await this.waitForSharedRequest(shared, options.signal);
+    }
+
+    /**
+     * Fetch preview information from the API
+     * @param {string} url - Video URL
+     * @param {Object} options - Request options ({ onRetry, signal })
+     * @returns {Promise<Object>} Raw preview response
+     */
+    async fetchPreview(url, options = {}) {
         const data = {
             url: url.trim()
         };
 
         return await this.makeRequest(this.endpoints.preview, {
             method: 'POST',
-            body: JSON.stringify(data)
+            body: JSON.stringify(data),
+            retries: this.retryPolicy.preview,
+            onRetry: options.onRetry,
+            signal: options.signal
+        });
+    }
+
+    /**
+     * Wait for a shared request on behalf of one caller
+     * The underlying request is only aborted once every caller has cancelled.
+     * @param {Object} shared - Shared request ({ promise, controller, waiters })
+     * @param {AbortSignal} signal - The caller's signal (optional)
+     * @returns {Promise} Shared request result
+     */
+    waitForSharedRequest(shared, signal = null) {
+        shared.waiters++;
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const onAbort = () => {
+                if (settled) return;
+                settled = true;
+                if (--shared.waiters === 0) {
+                    shared.controller.abort();
+                }
+                reject(this.createCancelError());
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            shared.promise.then(
+                (result) => {
+                    if (settled) return;
+                    settled = true;
+                    shared.waiters--;
+                    resolve(result);
+                },
+                (error) => {
+                    if (settled) return;
+                    settled = true;
+                    shared.waiters--;
+                    reject(error);
+                }
+            ).finally(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+
+    /**
+     * Normalize a preview response so every field the UI reads is present
+     * @param {Object} preview - Raw preview response
+     * @param {string} videoId - Video ID (optional)
+     * @returns {Object} Normalized preview
+     */
+    normalizePreview(preview, videoId = null) {
+        const formats = Array.isArray(preview.formats) ? preview.formats : [];
+
+        return {
+            ...preview,
+            video_id: preview.video_id || preview.id || videoId,
+            title: preview.title || i18n.t('preview.untitled'),
+            uploader: preview.uploader || i18n.t('common.unknown'),
+            thumbnail: preview.thumbnail || '',
+            duration: preview.duration || 0,
+            duration_formatted: preview.duration_formatted || this.formatDuration(preview.duration || 0),
+            view_count: preview.view_count || 0,
+            like_count: preview.like_count || 0,
+            formats: formats.filter(format => !this.isAudioOnlyFormat(format)),
+            // Older backends mix audio-only streams into `formats` instead of sending them separately
+            audio_formats: Array.isArray(preview.audio_formats)
+                ? preview.audio_formats
+                : formats.filter(format => this.isAudioOnlyFormat(format)),
+            captions: this.normalizeCaptions(preview)
+        };
+    }
+
+    /**
+     * Collect caption tracks from a preview response
+     * Accepts a `captions` list, or yt-dlp style `subtitles` and `automatic_captions` maps keyed by language.
+     * @param {Object} preview - Raw preview response
+     * @returns {Array<Object>} Tracks as { language, name, automatic }, manual tracks first
+     */
+    normalizeCaptions(preview) {
+        if (Array.isArray(preview.captions)) {
+            return preview.captions
+                .filter(track => track && track.language)
+                .map(track => ({
+                    language: track.language,
+                    name: track.name || '',
+                    automatic: Boolean(track.automatic)
+                }))
+                .sort((a, b) => a.automatic - b.automatic);
+        }
+
+        const fromMap = (tracks, automatic) => Object.entries(tracks || {}).map(([language, files]) => ({
+            language,
+            name: (Array.isArray(files) && files[0] && files[0].name) || '',
+            automatic
+        }));
+
+        return [
+            ...fromMap(preview.subtitles, false),
+            ...fromMap(preview.automatic_captions, true)
+        ];
+    }
+
+    /**
+     * Check whether a format carries audio without video
+     * @param {Object} format - Format from the preview response
+     * @returns {boolean} True for audio-only streams
+     */
+    isAudioOnlyFormat(format) {
+        return format.type === 'audio' || format.vcodec === 'none';
+    }
+
+    /**
+     * Drop all cached previews
+     * @returns {Promise} Resolves when the cache is empty
+     */
+    clearPreviewCache() {
+        return this.previewCache.clear();
+    }
+
+    /**
+     * Get playlist information with its entries
+     * @param {string} url - Playlist URL
+     * @param {Object} options - Request options
+     * @param {Function} options.onRetry - Called before each retry (optional)
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @returns {Promise<Object>} Playlist title, uploader and entries
+     */
+    async getPlaylistPreview(url, options = {}) {
+        const data = {
+            url: url.trim()
+        };
+
+        const playlist = await this.makeRequest(this.endpoints.playlist, {
+            method: 'POST',
+            body: JSON.stringify(data),
+            retries: this.retryPolicy.playlist,
+            onRetry: options.onRetry,
+            signal: options.signal
         });
+
+        // Entries without a URL get one from the playlist's provider
+        const provider = this.getProvider(url);
+        if (provider && provider.getVideoURL && Array.isArray(playlist.entries)) {
+            playlist.entries.forEach(entry => {
+                if (!entry.url && entry.id) {
+                    entry.url = provider.getVideoURL(entry.id);
+                }
+            });
+        }
+
+        return playlist;
     }
 
     /**
      * Download video with specified quality
-     * @param {string} url - YouTube video URL
+     * When the backend answers with a job ID, the job is followed until the file is ready,
+     * and cancelling through the signal stops the server-side job as well.
+     * @param {string} url - Video URL
      * @param {string} quality - Selected quality
      * @param {string} formatId - Format ID (optional)
+     * @param {Object} options - Download options
+     * @param {Function} options.onJobCreated - Called with the job ID as soon as the backend returns it (optional)
+     * @param {Function} options.onJobUpdate - Called with the job status on every change (optional)
+     * @param {Function} options.onRetry - Called before each retry (optional)
+     * @param {AbortSignal} options.signal - Signal to cancel the download (optional)
+     * @param {string} options.audioFormat - Extract audio only, converted to 'mp3', 'm4a' or 'opus' (optional)
+     * @param {Object} options.clip - Only download this range, as { start, end } in seconds (optional)
+     * @param {Array<Object>} options.captions - Caption tracks to embed, as { language, automatic } (optional)
      * @returns {Promise<Object>} Download response
      */
-    async downloadVideo(url, quality, formatId = null) {
+    async downloadVideo(url, quality, formatId = null, options = {}) {
         const data = {
             url: url.trim(),
             quality: quality,
             format_id: formatId
         };
 
-        return await this.makeRequest(this.endpoints.download, {
+        if (options.audioFormat) {
+            if (!this.audioFormats.includes(options.audioFormat)) {
+                throw new Error(`Unsupported audio format: ${options.audioFormat}`);
+            }
+            data.audio_only = true;
+            data.audio_format = options.audioFormat;
+        }
+
+        if (options.clip) {
+            const clipError = this.getClipError(options.clip);
+            if (clipError) {
+                throw new Error(clipError);
+            }
+            data.start_time = options.clip.start;
+            data.end_time = options.clip.end;
+        }
+
+        if (options.captions && options.captions.length > 0) {
+            data.embed_subtitles = true;
+            data.subtitles = options.captions.map(({ language, automatic }) => ({ language, automatic }));
+        }
+
+        const response = await this.makeRequest(this.endpoints.download, {
+            method: 'POST',
+            body: JSON.stringify(data),
+            retries: this.retryPolicy.download,
+            onRetry: options.onRetry,
+            signal: options.signal
+        });
+
+        if (response.job_id) {
+            if (options.onJobCreated) options.onJobCreated(response.job_id);
+
+            try {
+                return await this.watchJob(response.job_id, {
+                    onUpdate: options.onJobUpdate,
+                    signal: options.signal
+                });
+            } catch (error) {
+                if (options.signal && options.signal.aborted) {
+                    this.cancelJob(response.job_id).catch(() => {});
+                }
+                throw error;
+            }
+        }
+
+        return response;
+    }
+
+    /**
+     * Download a caption track as a subtitle file
+     * @param {string} url - Video URL
+     * @param {Object} track - Caption track ({ language, automatic })
+     * @param {string} format - Subtitle format ('srt' or 'vtt')
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @returns {Promise<Object>} Response with the subtitle filename
+     */
+    async downloadCaptions(url, track, format, options = {}) {
+        if (!this.captionFormats.includes(format)) {
+            throw new Error(`Unsupported caption format: ${format}`);
+        }
+
+        const data = {
+            url: url.trim(),
+            language: track.language,
+            automatic: Boolean(track.automatic),
+            format: format
+        };
+
+        return await this.makeRequest(this.endpoints.captions, {
             method: 'POST',
-            body: JSON.stringify(data)
+            body: JSON.stringify(data),
+            retries: this.retryPolicy.captions,
+            signal: options.signal
+        });
+    }
+
+    /**
+     * Get the status of a download job
+     * @param {string} jobId - Job ID returned by the download endpoint
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @returns {Promise<Object>} Job status
+     */
+    async getJobStatus(jobId, options = {}) {
+        return await this.makeRequest(`${this.endpoints.jobs}/${encodeURIComponent(jobId)}`, {
+            method: 'GET',
+            retries: this.retryPolicy.jobs,
+            signal: options.signal
+        });
+    }
+
+    /**
+     * Ask the backend to stop a download job
+     * @param {string} jobId - Job ID returned by the download endpoint
+     * @returns {Promise<Object>} Cancellation response
+     */
+    async cancelJob(jobId) {
+        return await this.makeRequest(`${this.endpoints.jobs}/${encodeURIComponent(jobId)}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Follow a download job until it is ready or fails
+     * Uses Server-Sent Events when available and falls back to polling.
+     * @param {string} jobId - Job ID returned by the download endpoint
+     * @param {Object} options - Watch options
+     * @param {Function} options.onUpdate - Called with the job status on every change (optional)
+     * @param {AbortSignal} options.signal - Signal to stop following the job (optional)
+     * @returns {Promise<Object>} Download response once the job is ready
+     */
+    watchJob(jobId, options = {}) {
+        const { onUpdate, signal } = options;
+
+        return new Promise((resolve, reject) => {
+            let finished = false;
+            let events = null;
+
+            const onAbort = () => {
+                if (finished) return;
+                finish();
+                if (events) events.close();
+                reject(this.createCancelError());
+            };
+
+            // Stop listening for cancellation once the job has settled
+            const finish = () => {
+                finished = true;
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(this.createCancelError());
+                    return;
+                }
+
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            const handleJob = (job) => {
+                if (finished) return;
+
+                const update = { ...job, job_id: job.job_id || jobId };
+                if (onUpdate) onUpdate(update);
+
+                if (update.status === 'ready') {
+                    finish();
+                    resolve({
+                        success: true,
+                        job_id: update.job_id,
+                        filename: update.filename,
+                        message: update.message
+                    });
+                } else if (update.status === 'failed') {
+                    finish();
+                    reject(APIError.fromJob(update));
+                }
+            };
+
+            const poll = async (failures = 0) => {
+                if (finished) return;
+
+                try {
+                    handleJob(await this.getJobStatus(jobId, { signal }));
+                    failures = 0;
+                } catch (error) {
+                    // Tolerate short network hiccups, give up on repeated failures
+                    if (finished) return;
+                    if (!error.retryable || ++failures >= 3) {
+                        finish();
+                        reject(error);
+                        return;
+                    }
+                }
+
+                if (!finished) {
+                    setTimeout(() => poll(failures), this.jobPollInterval);
+                }
+            };
+
+            if (typeof EventSource === 'undefined') {
+                poll();
+                return;
+            }
+
+            events = new EventSource(
+                `${this.baseURL}${this.endpoints.jobs}/${encodeURIComponent(jobId)}/events`
+            );
+
+            events.onmessage = (event) => {
+                try {
+                    handleJob(JSON.parse(event.data));
+                } catch (error) {
+                    // Ignore malformed events; the next one carries the full status
+                }
+
+                if (finished) {
+                    events.close();
+                }
+            };
+
+            events.onerror = () => {
+                // Stream unsupported or dropped: switch to polling
+                events.close();
+                if (!finished) poll();
+            };
         });
     }
 
     /**
      * Check API health status
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request (optional)
+     * @param {string} options.baseURL - Check this backend instead of the configured one (optional)
      * @returns {Promise<Object>} Health status
      */
-    async checkHealth() {
+    async checkHealth(options = {}) {
         return await this.makeRequest(this.endpoints.health, {
-            method: 'GET'
+            method: 'GET',
+            retries: this.retryPolicy.health,
+            signal: options.signal,
+            baseURL: options.baseURL,
+            timeout: 10000
         });
     }
 
@@ -131,81 +717,281 @@ class VideoAPI {
     }
 
     /**
-     * Validate YouTube URL format
-     * @param {string} url - URL to validate
-     * @returns {boolean} True if valid YouTube URL
+     * Fetch a downloaded file while reporting byte-level progress
+     * @param {string} filename - Filename to download
+     * @param {Object} options - Transfer options
+     * @param {Function} options.onProgress - Called with { received, total, speed, eta } as chunks arrive (optional)
+     * @param {AbortSignal} options.signal - Signal to cancel the transfer (optional)
+     * @returns {Promise<Blob>} Downloaded file contents
+     */
+    async fetchFile(filename, options = {}) {
+        const { onProgress = () => {}, signal } = options;
+
+        try {
+            return await this.readFile(filename, onProgress, signal);
+        } catch (error) {
+            throw APIError.from(error);
+        }
+    }
+
+    /**
+     * Stream a downloaded file into a Blob
+     * @param {string} filename - Filename to download
+     * @param {Function} onProgress - Progress callback
+     * @param {AbortSignal} signal - Signal to cancel the transfer
+     * @returns {Promise<Blob>} Downloaded file contents
      */
-    validateYouTubeURL(url) {
-        if (!url || typeof url !== 'string') {
-            return false;
+    async readFile(filename, onProgress, signal) {
+        const response = await fetch(this.getDownloadURL(filename), { signal });
+
+        if (!response.ok) {
+            throw APIError.fromResponse(response.status, {}, response.headers);
         }
 
-        const trimmedUrl = url.trim();
-        
-        // YouTube URL patterns
-        const patterns = [
-            /^https?:\/\/(www\.)?youtube\.com\/watch\?v=[\w-]+/,
-            /^https?:\/\/youtu\.be\/[\w-]+/,
-            /^https?:\/\/(www\.)?youtube\.com\/embed\/[\w-]+/,
-            /^https?:\/\/(www\.)?youtube\.com\/v\/[\w-]+/
-        ];
+        const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        const type = response.headers.get('Content-Type') || 'application/octet-stream';
 
-        return patterns.some(pattern => pattern.test(trimmedUrl));
+        // Browsers without streaming support just get the whole body at once
+        if (!response.body || !response.body.getReader) {
+            const blob = await response.blob();
+            onProgress({ received: blob.size, total: blob.size, speed: 0, eta: 0 });
+            return blob;
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        const startTime = performance.now();
+        let received = 0;
+        let speed = 0;
+        let lastTime = startTime;
+        let lastReceived = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            chunks.push(value);
+            received += value.length;
+
+            // Smooth the transfer speed over roughly half-second windows
+            const now = performance.now();
+            if (now - lastTime >= 500 || speed === 0) {
+                const instantSpeed = (received - lastReceived) / Math.max((now - lastTime) / 1000, 0.001);
+                speed = speed === 0 ? instantSpeed : speed * 0.7 + instantSpeed * 0.3;
+                lastTime = now;
+                lastReceived = received;
+            }
+
+            const eta = total && speed ? (total - received) / speed : null;
+            onProgress({ received, total, speed, eta });
+        }
+
+        return new Blob(chunks, { type });
     }
 
     /**
-     * Extract video ID from YouTube URL
-     * @param {string} url - YouTube URL
+     * Parse a video or playlist URL from any registered provider
+     * @param {string} url - URL to parse
+     * @returns {Object|null} { provider, key, videoId, playlistId, startTime, kind, canonicalURL }
+     *     or null if no provider recognises the URL
+     */
+    parseURL(url) {
+        return providerRegistry.parse(url);
+    }
+
+    /**
+     * Get the provider serving a URL
+     * @param {string} url - Video or playlist URL
+     * @returns {Object|null} Provider ({ id, name, icon }) or null if the URL isn't supported
+     */
+    getProvider(url) {
+        const parsed = this.parseURL(url);
+        return parsed ? parsed.provider : null;
+    }
+
+    /**
+     * Validate video URL format
+     * @param {string} url - URL to validate
+     * @returns {boolean} True if the URL points at a single video from a supported provider
+     */
+    validateVideoURL(url) {
+        const parsed = this.parseURL(url);
+        return Boolean(parsed && parsed.videoId);
+    }
+
+    /**
+     * Validate playlist URL format
+     * Matches playlist pages as well as watch URLs carrying a list parameter.
+     * @param {string} url - URL to validate
+     * @returns {boolean} True if the URL points at a playlist
+     */
+    validatePlaylistURL(url) {
+        const parsed = this.parseURL(url);
+        return Boolean(parsed && parsed.playlistId);
+    }
+
+    /**
+     * Extract playlist ID from a URL
+     * @param {string} url - Playlist URL
+     * @returns {string|null} Playlist ID or null if not found
+     */
+    extractPlaylistID(url) {
+        const parsed = this.parseURL(url);
+        return parsed ? parsed.playlistId : null;
+    }
+
+    /**
+     * Build a watch URL for a playlist entry
+     * @param {Object} entry - Playlist entry from API
+     * @returns {string} Video URL for the entry
+     */
+    getEntryURL(entry) {
+        return entry.url || `https://www.youtube.com/watch?v=${entry.id}`;
+    }
+
+    /**
+     * Extract the video ID from a URL
+     * YouTube IDs are returned as-is; other providers' IDs are prefixed ("vimeo:76979871")
+     * so they never collide in the preview cache or download history.
+     * @param {string} url - Video URL
      * @returns {string|null} Video ID or null if not found
      */
     extractVideoID(url) {
-        if (!this.validateYouTubeURL(url)) {
-            return null;
-        }
+        const parsed = this.parseURL(url);
+        return parsed ? parsed.key : null;
+    }
 
-        const trimmedUrl = url.trim();
-        
-        // Extract from youtube.com/watch?v= format
-        const watchMatch = trimmedUrl.match(/[?&]v=([^&]+)/);
-        if (watchMatch) {
-            return watchMatch[1];
-        }
+    /**
+     * Parse a timestamp such as "90", "1:30", "1:02:03" or "1h2m3s"
+     * @param {string} value - Timestamp text
+     * @returns {number|null} Time in seconds, or null if the text is not a timestamp
+     */
+    parseTimestamp(value) {
+        return youtubeURLParser.parseTimestamp(value);
+    }
 
-        // Extract from youtu.be/ format
-        const shortMatch = trimmedUrl.match(/youtu\.be\/([^?]+)/);
-        if (shortMatch) {
-            return shortMatch[1];
-        }
+    /**
+     * Extract the start time from a URL's t= or start= parameter
+     * @param {string} url - Video URL
+     * @returns {number|null} Start time in seconds or null if the URL has none
+     */
+    extractStartTime(url) {
+        const parsed = this.parseURL(url);
+        return parsed ? parsed.startTime : null;
+    }
 
-        // Extract from embed format
-        const embedMatch = trimmedUrl.match(/embed\/([^?]+)/);
-        if (embedMatch) {
-            return embedMatch[1];
+    /**
+     * Check a clip range
+     * @param {Object} clip - Clip range ({ start, end } in seconds)
+     * @param {number} duration - Video duration in seconds (optional, 0 if unknown)
+     * @returns {string|null} Error message or null if the range is valid
+     */
+    getClipError({ start, end }, duration = 0) {
+        if (typeof start !== 'number' || typeof end !== 'number' || Number.isNaN(start) || Number.isNaN(end)) {
+            return i18n.t('clip.errorFormat');
         }
-
-        // Extract from v/ format
-        const vMatch = trimmedUrl.match(/\/v\/([^?]+)/);
-        if (vMatch) {
-            return vMatch[1];
+        if (start < 0) {
+            return i18n.t('clip.errorNegative');
+        }
+        if (end <= start) {
+            return i18n.t('clip.errorOrder');
+        }
+        if (duration > 0 && end > duration) {
+            return i18n.t('clip.errorTooLong', { duration: this.formatDuration(duration) });
         }
-
         return null;
     }
 
     /**
-     * Format number with appropriate suffix (K, M, B)
+     * Format a count in short form for the UI language (1.2K, 1,2 mil, ...)
      * @param {number} num - Number to format
      * @returns {string} Formatted number
      */
     formatNumber(num) {
-        if (num >= 1000000000) {
-            return (num / 1000000000).toFixed(1) + 'B';
-        } else if (num >= 1000000) {
-            return (num / 1000000).toFixed(1) + 'M';
-        } else if (num >= 1000) {
-            return (num / 1000).toFixed(1) + 'K';
+        return i18n.formatCompact(num);
+    }
+
+    /**
+     * Format byte count with a unit for the UI language (B, kB, MB, GB, ...)
+     * @param {number} bytes - Number of bytes
+     * @returns {string} Formatted size
+     */
+    formatBytes(bytes) {
+        return i18n.formatBytes(bytes);
+    }
+
+    /**
+     * Format seconds as m:ss or h:mm:ss
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(seconds) {
+        const total = Math.max(0, Math.round(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const secs = String(total % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+
+    /**
+     * Get a readable codec name
+     * @param {string} codec - Codec string such as 'avc1.640028' or 'opus'
+     * @returns {string} Name such as "H.264", or an empty string when there is no codec
+     */
+    formatCodec(codec) {
+        const key = (codec || '').split('.')[0].toLowerCase();
+        if (!key || key === 'none') return '';
+
+        return this.codecNames[key] || key.toUpperCase();
+    }
+
+    /**
+     * Get a readable language name for a caption track
+     * @param {Object} track - Caption track ({ language, name })
+     * @returns {string} Name in the UI language such as "Spanish", falling back to the backend's name or the code
+     */
+    formatLanguage(track) {
+        try {
+            const names = new Intl.DisplayNames([i18n.language], { type: 'language' });
+            const name = names.of(track.language);
+            if (name && name !== track.language) return name;
+        } catch (error) {
+            // Unknown code or Intl.DisplayNames unsupported
         }
-        return num.toString();
+
+        return track.name || track.language;
+    }
+
+    /**
+     * Describe an audio stream by codec and bitrate
+     * @param {Object} format - Audio-only format from the preview response
+     * @returns {string} Label such as "Opus 160 kbps"
+     */
+    formatAudioStream(format) {
+        const name = this.formatCodec(format.acodec || format.ext) || i18n.t('common.audio');
+
+        return format.abr ? `${name} ${Math.round(format.abr)} kbps` : name;
+    }
+
+    /**
+     * Check whether a format is HDR
+     * @param {Object} format - Format from the preview response
+     * @returns {boolean} True for HDR streams
+     */
+    isHDRFormat(format) {
+        return format.hdr === true || Boolean(format.dynamic_range && format.dynamic_range !== 'SDR');
+    }
+
+    /**
+     * Classify any error thrown by the API client
+     * @param {Error} error - Error object
+     * @returns {APIError} Typed error with user message, retry flag and suggested action
+     */
+    toAPIError(error) {
+        return APIError.from(error);
     }
 
     /**
@@ -214,67 +1000,20 @@ class VideoAPI {
      * @returns {string} User-friendly error message
      */
     handleError(error) {
-        const message = error.message || 'An unknown error occurred';
-        
-        // Common error patterns
-        if (message.includes('timeout')) {
-            return 'Request timed out. Please check your connection and try again.';
-        }
-        
-        if (message.includes('fetch')) {
-            return 'Unable to connect to the server. Please check your internet connection.';
-        }
-        
-        if (message.includes('Invalid YouTube URL')) {
-            return 'Please enter a valid YouTube video URL.';
-        }
-        
-        if (message.includes('Video unavailable')) {
-            return 'This video is not available for download. It may be private, deleted, or restricted.';
-        }
-        
-        if (message.includes('Age restricted')) {
-            return 'This video is age-restricted and cannot be downloaded.';
-        }
-        
-        if (message.includes('Copyright')) {
-            return 'This video is protected by copyright and cannot be downloaded.';
-        }
-        
-        if (message.includes('HTTP 429')) {
-            return 'Too many requests. Please wait a moment before trying again.';
-        }
-        
-        if (message.includes('HTTP 500')) {
-            return 'Server error. Please try again later.';
-        }
-        
-        if (message.includes('HTTP 400')) {
-            return 'Invalid request. Please check the video URL and try again.';
-        }
-        
-        // Default error message
-        return `Error: ${message}`;
+        return this.toAPIError(error).userMessage;
     }
 }
 
 // Create global API instance
 const videoAPI = new VideoAPI();
 
-// Auto-detect backend URL in production
-if (window.location.hostname !== 'localhost' && window.location.hostname !== '127.0.0.1') {
-    // In production, try to detect the backend URL
-    // You can update this logic based on your deployment setup
-    const protocol = window.location.protocol;
-    const hostname = window.location.hostname;
-    
-    // Example: if frontend is on vercel.com, backend might be on railway.app
-    // Update this according to your actual deployment
-    if (hostname.includes('vercel.app')) {
-        // Replace with your actual Railway backend URL
-        videoAPI.setBackendURL('https://nb-video-downloader-backend-production-5f42.up.railway.app/');
-    }
-}
+// Pick the backend at startup: ?backend=, then the settings panel, then config.json
+videoAPI.ready = backendConfig.resolve().then(({ url }) => videoAPI.setBackendURL(url));
+
+// Use the preview cache lifetime from config.json when the deployment sets one
+backendConfig.fetchPreviewCacheTTL().then(ttl => {
+    if (ttl !== null) videoAPI.previewCache.setTTL(ttl);
+});
 
 // Export for use in other modules
 window.videoAPI = videoAPI;
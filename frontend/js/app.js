@@ -8,10 +8,50 @@ class VideoDownloadApp {
         this.currentVideoInfo = null;
         this.selectedQuality = null;
         this.selectedFormatId = null;
+        this.currentPlaylist = null;
+        this.isTransferring = false;
+
+        // 'video' or 'audio'; kept between videos so a run of podcasts stays in audio mode
+        this.downloadMode = 'video';
+
+        // Quality picker view ('simple' buttons or the advanced 'table') and table sort order
+        this.formatView = 'simple';
+        this.formatSort = { key: 'quality', direction: 'descending' };
+
+        // Video the clip and caption controls were last set up for, so a refresh keeps the choices
+        this.previewVideoId = null;
+
+        // Caption tracks chosen for download or embedding, by track key
+        this.selectedCaptions = new Map();
+
+        // Running download job, kept so it can be picked up after a reload
+        this.activeJobKey = 'videoDownloader.activeJob';
+
+        // Last chosen metadata and thumbnail export formats
+        this.exportFormatsKey = 'videoDownloader.exportFormats';
+
+        // Countdown shown while waiting to retry a failed request
+        this.retryCountdown = null;
+
+        // Pending screen reader announcement (see announce)
+        this.announceTimer = null;
+
+        // Controller for the request in flight; aborted on cancel or when a new request starts
+        this.requestController = null;
+
+        // Last request started by the user, repeated by the error screen's retry action
+        this.lastAction = null;
+
+        // Action offered by the error screen's button (see APIError.TYPES)
+        this.errorAction = 'dismiss';
         
         // DOM elements
         this.elements = {
             videoUrl: document.getElementById('videoUrl'),
+            healthBadge: document.getElementById('healthBadge'),
+            healthText: document.getElementById('healthText'),
+            backendNotice: document.getElementById('backendNotice'),
+            providerBadge: document.getElementById('providerBadge'),
             previewBtn: document.getElementById('previewBtn'),
             loadingSection: document.getElementById('loadingSection'),
             previewSection: document.getElementById('previewSection'),
@@ -19,6 +59,38 @@ class VideoDownloadApp {
             successSection: document.getElementById('successSection'),
             downloadSection: document.getElementById('downloadSection'),
             qualityButtons: document.getElementById('qualityButtons'),
+            modeButtons: document.querySelectorAll('.mode-btn'),
+            audioOptions: document.getElementById('audioOptions'),
+            audioFormat: document.getElementById('audioFormat'),
+            formatViewBtn: document.getElementById('formatViewBtn'),
+            formatTable: document.getElementById('formatTable'),
+            formatTableBody: document.getElementById('formatTableBody'),
+            formatTableEmpty: document.getElementById('formatTableEmpty'),
+            formatFilter: document.getElementById('formatFilter'),
+            formatHdrOnly: document.getElementById('formatHdrOnly'),
+            formatSortButtons: document.querySelectorAll('.format-sort'),
+            clipEnabled: document.getElementById('clipEnabled'),
+            clipControls: document.getElementById('clipControls'),
+            clipRange: document.getElementById('clipRange'),
+            clipStartRange: document.getElementById('clipStartRange'),
+            clipEndRange: document.getElementById('clipEndRange'),
+            clipStart: document.getElementById('clipStart'),
+            clipEnd: document.getElementById('clipEnd'),
+            clipLength: document.getElementById('clipLength'),
+            clipError: document.getElementById('clipError'),
+            captionsSection: document.getElementById('captionsSection'),
+            captionList: document.getElementById('captionList'),
+            captionShowAuto: document.getElementById('captionShowAuto'),
+            captionShowAutoLabel: document.getElementById('captionShowAutoLabel'),
+            captionEmbed: document.getElementById('captionEmbed'),
+            captionFormat: document.getElementById('captionFormat'),
+            captionDownloadBtn: document.getElementById('captionDownloadBtn'),
+            captionStatus: document.getElementById('captionStatus'),
+            metadataFormat: document.getElementById('metadataFormat'),
+            exportMetadataBtn: document.getElementById('exportMetadataBtn'),
+            thumbnailFormat: document.getElementById('thumbnailFormat'),
+            thumbnailDownloadBtn: document.getElementById('thumbnailDownloadBtn'),
+            metadataStatus: document.getElementById('metadataStatus'),
             downloadBtn: document.getElementById('downloadBtn'),
             retryBtn: document.getElementById('retryBtn'),
             downloadLink: document.getElementById('downloadLink'),
@@ -28,301 +100,2724 @@ class VideoDownloadApp {
             videoDuration: document.getElementById('videoDuration'),
             videoViews: document.getElementById('videoViews'),
             videoLikes: document.getElementById('videoLikes'),
+            videoCached: document.getElementById('videoCached'),
+            refreshPreviewBtn: document.getElementById('refreshPreviewBtn'),
             selectedQualitySpan: document.getElementById('selectedQuality'),
             fileSizeSpan: document.getElementById('fileSize'),
-            errorMessage: document.getElementById('errorMessage')
+            errorMessage: document.getElementById('errorMessage'),
+            playlistSection: document.getElementById('playlistSection'),
+            playlistTitle: document.getElementById('playlistTitle'),
+            playlistMeta: document.getElementById('playlistMeta'),
+            playlistEntries: document.getElementById('playlistEntries'),
+            playlistSelectAll: document.getElementById('playlistSelectAll'),
+            playlistQuality: document.getElementById('playlistQuality'),
+            playlistProgress: document.getElementById('playlistProgress'),
+            playlistDownloadBtn: document.getElementById('playlistDownloadBtn'),
+            addToQueueBtn: document.getElementById('addToQueueBtn'),
+            queueSummary: document.getElementById('queueSummary'),
+            queueUrls: document.getElementById('queueUrls'),
+            queueQuality: document.getElementById('queueQuality'),
+            queueAddBtn: document.getElementById('queueAddBtn'),
+            queueConcurrency: document.getElementById('queueConcurrency'),
+            queuePauseBtn: document.getElementById('queuePauseBtn'),
+            queueRetryBtn: document.getElementById('queueRetryBtn'),
+            queueClearBtn: document.getElementById('queueClearBtn'),
+            queueList: document.getElementById('queueList'),
+            transferProgress: document.getElementById('transferProgress'),
+            transferBar: document.getElementById('transferBar'),
+            transferBytes: document.getElementById('transferBytes'),
+            transferSpeed: document.getElementById('transferSpeed'),
+            transferEta: document.getElementById('transferEta'),
+            transferStatus: document.getElementById('transferStatus'),
+            jobPhases: document.getElementById('jobPhases'),
+            loadingText: document.getElementById('loadingText'),
+            downloadStatus: document.getElementById('downloadStatus'),
+            cancelLoadingBtn: document.getElementById('cancelLoadingBtn'),
+            cancelDownloadBtn: document.getElementById('cancelDownloadBtn'),
+            cancelPlaylistBtn: document.getElementById('cancelPlaylistBtn'),
+            cancelTransferBtn: document.getElementById('cancelTransferBtn'),
+            offlineBanner: document.getElementById('offlineBanner'),
+            updateBanner: document.getElementById('updateBanner'),
+            updateReloadBtn: document.getElementById('updateReloadBtn'),
+            historySummary: document.getElementById('historySummary'),
+            historySearch: document.getElementById('historySearch'),
+            languageSelect: document.getElementById('languageSelect'),
+            themeToggle: document.getElementById('themeToggle'),
+            themeIcon: document.getElementById('themeIcon'),
+            themeText: document.getElementById('themeText'),
+            liveStatus: document.getElementById('liveStatus'),
+            historyQuality: document.getElementById('historyQuality'),
+            historyList: document.getElementById('historyList'),
+            historyExportBtn: document.getElementById('historyExportBtn'),
+            historyImportBtn: document.getElementById('historyImportBtn'),
+            historyImportFile: document.getElementById('historyImportFile'),
+            historyClearBtn: document.getElementById('historyClearBtn'),
+            backendSummary: document.getElementById('backendSummary'),
+            backendUrlInput: document.getElementById('backendUrlInput'),
+            backendTestBtn: document.getElementById('backendTestBtn'),
+            backendSaveBtn: document.getElementById('backendSaveBtn'),
+            backendResetBtn: document.getElementById('backendResetBtn'),
+            backendStatus: document.getElementById('backendStatus'),
+            motionSelect: document.getElementById('motionSelect')
         };
         
         this.init();
     }
 
     /**
-     * Initialize the application
+     * Initialize the application
+     */
+    init() {
+        this.bindEvents();
+        this.setupExampleButtons();
+        this.addHoverEffects();
+        this.setupConnectivityBanner();
+        this.loadExportFormats();
+
+        // Offer the registered languages and redraw generated text when the language changes
+        i18n.getLanguages().forEach(({ code, name }) => {
+            this.elements.languageSelect.appendChild(new Option(name, code));
+        });
+        this.elements.languageSelect.value = i18n.language;
+        i18n.onChange(() => this.handleLanguageChange());
+
+        // Keep the queue panel in sync with the download queue
+        downloadQueue.onChange(() => this.handleQueueChange());
+        downloadQueue.setConcurrency(this.elements.queueConcurrency.value);
+
+        // Keep the history panel in sync with stored downloads
+        downloadHistory.onChange(() => this.renderHistory());
+        this.renderHistory();
+
+        // Show the backend once startup has picked one
+        videoAPI.ready.then(() => this.renderBackendSettings());
+        
+        // Poll backend health and reflect it in the header badge and the controls
+        healthMonitor.onChange(() => this.renderHealth());
+        healthMonitor.start();
+
+        // Pick up a download job that was still running before a reload, or open the video in the address bar
+        if (this.loadActiveJob()) {
+            this.resumeActiveJob();
+        } else {
+            this.openLink();
+        }
+
+        // Back and Forward move between the videos opened in this tab
+        window.addEventListener('popstate', () => this.openLink());
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        // Preview button click
+        this.elements.previewBtn.addEventListener('click', () => {
+            this.handlePreviewClick();
+        });
+
+        // Enter key in URL input
+        this.elements.videoUrl.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.handlePreviewClick();
+            }
+        });
+
+        // Download button click
+        this.elements.downloadBtn.addEventListener('click', () => {
+            this.handleDownloadClick();
+        });
+
+        // Retry button click
+        this.elements.retryBtn.addEventListener('click', () => {
+            this.handleRetryClick();
+        });
+
+        // Video / audio mode toggle
+        this.elements.modeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.setDownloadMode(button.dataset.mode);
+            });
+        });
+
+        this.elements.audioFormat.addEventListener('change', () => {
+            this.updateDownloadSection();
+        });
+
+        // Clip selection
+        this.elements.clipEnabled.addEventListener('change', () => {
+            this.elements.clipControls.classList.toggle('hidden', !this.elements.clipEnabled.checked);
+            this.validateClip();
+        });
+
+        this.elements.clipStartRange.addEventListener('input', () => {
+            this.handleClipSlider(this.elements.clipStartRange);
+        });
+
+        this.elements.clipEndRange.addEventListener('input', () => {
+            this.handleClipSlider(this.elements.clipEndRange);
+        });
+
+        [this.elements.clipStart, this.elements.clipEnd].forEach(input => {
+            input.addEventListener('input', () => {
+                this.handleClipInput();
+            });
+        });
+
+        // Metadata and thumbnail export
+        this.elements.exportMetadataBtn.addEventListener('click', () => {
+            this.handleExportMetadataClick();
+        });
+
+        this.elements.thumbnailDownloadBtn.addEventListener('click', () => {
+            this.handleThumbnailDownloadClick();
+        });
+
+        [this.elements.metadataFormat, this.elements.thumbnailFormat].forEach(select => {
+            select.addEventListener('change', () => {
+                this.saveExportFormats();
+            });
+        });
+
+        // Caption tracks
+        this.elements.captionShowAuto.addEventListener('change', () => {
+            this.renderCaptions();
+        });
+
+        this.elements.captionList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('caption-checkbox')) {
+                this.handleCaptionToggle(e.target);
+            }
+        });
+
+        this.elements.captionDownloadBtn.addEventListener('click', () => {
+            this.downloadSelectedCaptions();
+        });
+
+        // Advanced format table
+        this.elements.formatViewBtn.addEventListener('click', () => {
+            this.setFormatView(this.formatView === 'table' ? 'simple' : 'table');
+        });
+
+        this.elements.formatFilter.addEventListener('input', () => {
+            this.renderFormatTable();
+        });
+
+        this.elements.formatHdrOnly.addEventListener('change', () => {
+            this.renderFormatTable();
+        });
+
+        this.elements.formatSortButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.handleFormatSort(button.dataset.sort);
+            });
+        });
+
+        this.elements.formatTableBody.addEventListener('click', (e) => {
+            const row = e.target.closest('.format-row');
+            if (row) {
+                this.handleQualitySelection(row);
+            }
+        });
+
+        this.elements.formatTableBody.addEventListener('keydown', (e) => {
+            const row = e.target.closest('.format-row');
+            if (row && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.handleQualitySelection(row);
+            }
+        });
+
+        // Refresh preview, bypassing the cache
+        this.elements.refreshPreviewBtn.addEventListener('click', () => {
+            this.getVideoPreview(this.elements.videoUrl.value.trim(), { refresh: true });
+        });
+
+        // Cancel buttons for the request in flight
+        [
+            this.elements.cancelLoadingBtn,
+            this.elements.cancelDownloadBtn,
+            this.elements.cancelPlaylistBtn,
+            this.elements.cancelTransferBtn
+        ].forEach(button => {
+            button.addEventListener('click', () => {
+                this.handleCancelClick();
+            });
+        });
+
+        // History search and filter
+        this.elements.historySearch.addEventListener('input', () => {
+            this.renderHistory();
+        });
+
+        this.elements.historyQuality.addEventListener('change', () => {
+            this.renderHistory();
+        });
+
+        // History export, import and clear
+        this.elements.historyExportBtn.addEventListener('click', () => {
+            this.handleHistoryExportClick();
+        });
+
+        this.elements.historyImportBtn.addEventListener('click', () => {
+            this.elements.historyImportFile.click();
+        });
+
+        this.elements.historyImportFile.addEventListener('change', () => {
+            this.handleHistoryImport(this.elements.historyImportFile.files[0]);
+            this.elements.historyImportFile.value = '';
+        });
+
+        this.elements.historyClearBtn.addEventListener('click', () => {
+            if (window.confirm(i18n.t('history.confirmClear'))) {
+                downloadHistory.clear();
+            }
+        });
+
+        // Health badge click checks the server right away
+        this.elements.healthBadge.addEventListener('click', () => {
+            this.checkAPIHealth();
+        });
+
+        // Language picker remembers the choice for the next visit
+        this.elements.languageSelect.addEventListener('change', (e) => {
+            i18n.setLanguage(e.target.value, { save: true });
+        });
+
+        // Theme toggle steps through system, light, dark and high contrast and remembers the choice
+        this.elements.themeToggle.addEventListener('click', () => {
+            themeManager.cycle();
+            this.announce(this.elements.themeText.textContent);
+        });
+        themeManager.onChange(() => this.renderThemeToggle());
+        this.renderThemeToggle();
+
+        // Backend settings
+        this.elements.backendTestBtn.addEventListener('click', () => {
+            this.handleBackendTestClick();
+        });
+
+        this.elements.backendSaveBtn.addEventListener('click', () => {
+            this.handleBackendSaveClick();
+        });
+
+        this.elements.backendResetBtn.addEventListener('click', () => {
+            this.handleBackendResetClick();
+        });
+
+        // Motion setting overrides the system's reduced-motion preference in either direction
+        this.elements.motionSelect.value = animationManager.preference;
+        this.elements.motionSelect.addEventListener('change', (e) => {
+            animationManager.setMotionPreference(e.target.value);
+        });
+
+        // History entry actions (delegated)
+        this.elements.historyList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleHistoryItemAction(button);
+            }
+        });
+
+        // Final download link click (streams the file with progress)
+        this.elements.downloadLink.addEventListener('click', (e) => {
+            this.handleDownloadLinkClick(e);
+        });
+
+        // URL input focus for better UX
+        this.elements.videoUrl.addEventListener('focus', () => {
+            this.elements.videoUrl.select();
+        });
+
+        // Show which site a URL belongs to while it's typed
+        this.elements.videoUrl.addEventListener('input', () => {
+            this.updateProviderBadge();
+        });
+
+        // Quality button clicks (delegated)
+        this.elements.qualityButtons.addEventListener('click', (e) => {
+            const button = e.target.closest('.quality-btn');
+            if (button) {
+                this.handleQualitySelection(button);
+            }
+        });
+
+        // Arrow keys move the selection within the quality radiogroup
+        this.elements.qualityButtons.addEventListener('keydown', (e) => {
+            this.handleQualityKeydown(e);
+        });
+
+        // Save links of finished playlist entries and queue items (delegated)
+        [this.elements.playlistEntries, this.elements.queueList].forEach(list => {
+            list.addEventListener('click', (e) => {
+                const link = e.target.closest('.playlist-entry-link');
+                if (link) {
+                    this.handleSaveLinkClick(e, link);
+                }
+            });
+        });
+
+        // Playlist entry checkboxes (delegated)
+        this.elements.playlistEntries.addEventListener('change', (e) => {
+            if (e.target.classList.contains('playlist-entry-checkbox')) {
+                this.updatePlaylistSelection();
+            }
+        });
+
+        // Playlist select all toggle
+        this.elements.playlistSelectAll.addEventListener('change', () => {
+            this.toggleAllPlaylistEntries(this.elements.playlistSelectAll.checked);
+        });
+
+        // Playlist bulk download click
+        this.elements.playlistDownloadBtn.addEventListener('click', () => {
+            this.handlePlaylistDownloadClick();
+        });
+
+        // Add previewed video to queue
+        this.elements.addToQueueBtn.addEventListener('click', () => {
+            this.handleAddToQueueClick();
+        });
+
+        // Add pasted URLs to queue
+        this.elements.queueAddBtn.addEventListener('click', () => {
+            this.handleQueueAddClick();
+        });
+
+        // Queue controls
+        this.elements.queueConcurrency.addEventListener('change', () => {
+            downloadQueue.setConcurrency(this.elements.queueConcurrency.value);
+        });
+
+        this.elements.queuePauseBtn.addEventListener('click', () => {
+            if (downloadQueue.paused) {
+                downloadQueue.resume();
+            } else {
+                downloadQueue.pause();
+            }
+        });
+
+        this.elements.queueRetryBtn.addEventListener('click', () => {
+            downloadQueue.retryFailed();
+        });
+
+        this.elements.queueClearBtn.addEventListener('click', () => {
+            downloadQueue.clearFinished();
+        });
+
+        // Queue item actions (delegated)
+        this.elements.queueList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleQueueItemAction(button);
+            }
+        });
+
+        this.elements.queueList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('queue-item-quality')) {
+                const id = parseInt(e.target.closest('.queue-item').dataset.id, 10);
+                downloadQueue.setQuality(id, e.target.value);
+            }
+        });
+    }
+
+    /**
+     * Setup example URL buttons
+     */
+    setupExampleButtons() {
+        const exampleButtons = document.querySelectorAll('.example-btn');
+        exampleButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const url = button.dataset.url;
+                this.elements.videoUrl.value = url;
+                this.handlePreviewClick();
+            });
+        });
+    }
+
+    /**
+     * Add hover effects to interactive elements
+     */
+    addHoverEffects() {
+        // Add hover effects to buttons
+        const buttons = document.querySelectorAll('button');
+        buttons.forEach(button => {
+            animationManager.addHoverEffect(button, 'lift');
+        });
+
+        // Add hover effects to quality buttons
+        const qualityButtons = document.querySelectorAll('.quality-btn');
+        qualityButtons.forEach(button => {
+            animationManager.addHoverEffect(button, 'scale');
+        });
+    }
+
+    /**
+     * Show the offline banner whenever the browser loses its connection
+     */
+    setupConnectivityBanner() {
+        const update = () => {
+            const offline = navigator.onLine === false;
+            const wasHidden = this.elements.offlineBanner.classList.contains('hidden');
+
+            this.elements.offlineBanner.classList.toggle('hidden', !offline);
+            if (offline && wasHidden) {
+                animationManager.slideUp(this.elements.offlineBanner);
+            }
+        };
+
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        update();
+    }
+
+    /**
+     * Offer a reload when a new service worker version is waiting
+     * @param {ServiceWorkerRegistration} registration - Service worker registration
+     */
+    setupServiceWorkerUpdates(registration) {
+        // Worker the banner offers, and whether the user asked for the reload
+        let waitingWorker = null;
+        let reloadRequested = false;
+
+        this.elements.updateReloadBtn.addEventListener('click', () => {
+            if (!waitingWorker) return;
+            reloadRequested = true;
+            waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        });
+
+        const showUpdate = (worker) => {
+            waitingWorker = worker;
+            this.elements.updateBanner.classList.remove('hidden');
+            animationManager.slideUp(this.elements.updateBanner);
+        };
+
+        // Only replace a running version; the very first install needs no reload
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdate(worker);
+                }
+            });
+        });
+
+        // Reload once the version the user accepted has taken over; the first install also
+        // changes the controller (clients.claim) and must not reload the page
+        let refreshing = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!reloadRequested || refreshing) return;
+            refreshing = true;
+            window.location.reload();
+        });
+    }
+
+    /**
+     * Check API health status now instead of waiting for the next poll
+     * @returns {Promise<Object>} Health state
+     */
+    checkAPIHealth() {
+        return healthMonitor.check();
+    }
+
+    /**
+     * Show the backend health in the header badge and enable or disable the controls that need it
+     */
+    renderHealth() {
+        const { status, latency, error } = healthMonitor.state;
+        const offline = healthMonitor.isOffline();
+        const label = i18n.t(`health.${status}`);
+
+        this.elements.healthBadge.className = `health-badge ${status}`;
+        this.elements.healthText.textContent = latency !== null
+            ? `${label} · ${this.formatLatency(latency)}`
+            : label;
+
+        // Preview and Download can't work without the backend
+        this.elements.previewBtn.disabled = offline;
+        if (!this.elements.downloadBtn.dataset.loading) {
+            this.elements.downloadBtn.disabled = offline;
+        }
+
+        const notice = this.elements.backendNotice;
+        notice.classList.toggle('hidden', !offline);
+        if (offline) {
+            const reason = error ? error.userMessage : i18n.t('health.notResponding');
+            notice.textContent = `${reason} ${i18n.t('health.unavailable')}`;
+        }
+        this.elements.healthBadge.title = error ? error.userMessage : i18n.t('health.checkNow');
+
+        this.applyCapabilities();
+    }
+
+    /**
+     * Hide features the server says it doesn't support
+     */
+    applyCapabilities() {
+        document.querySelectorAll('[data-capability]').forEach(element => {
+            element.classList.toggle('unsupported', !healthMonitor.supports(element.dataset.capability));
+        });
+
+        // Turn off options the server can't honour so they aren't sent with downloads
+        if (!healthMonitor.supports('clips') && this.elements.clipEnabled.checked) {
+            this.elements.clipEnabled.checked = false;
+            this.elements.clipControls.classList.add('hidden');
+        }
+        if (!healthMonitor.supports('captions')) {
+            this.elements.captionEmbed.checked = false;
+        }
+        if (!healthMonitor.supports('audio') && this.downloadMode === 'audio') {
+            this.setDownloadMode('video');
+        }
+    }
+
+    /**
+     * Format a round-trip time for the health badge
+     * @param {number} ms - Latency in ms
+     * @returns {string} Formatted latency, e.g. "120 ms" or "2.4 s"
+     */
+    formatLatency(ms) {
+        return ms < 1000
+            ? i18n.formatNumber(ms, { style: 'unit', unit: 'millisecond', unitDisplay: 'short' })
+            : i18n.formatNumber(ms / 1000, { style: 'unit', unit: 'second', unitDisplay: 'short', maximumFractionDigits: 1 });
+    }
+
+    /**
+     * Stop an action that needs the backend while it's offline
+     * @returns {boolean} True if the backend is available
+     */
+    ensureBackendAvailable() {
+        if (!healthMonitor.isOffline()) return true;
+
+        animationManager.shake(this.elements.backendNotice);
+        return false;
+    }
+
+    /**
+     * Handle preview button click
+     * @param {Object} options - Preview options
+     * @param {string} options.quality - Quality to preselect, e.g. from a shared link (optional)
+     */
+    async handlePreviewClick(options = {}) {
+        const url = this.elements.videoUrl.value.trim();
+        this.updateProviderBadge();
+        
+        if (!url) {
+            this.showError(i18n.t('url.empty'));
+            return;
+        }
+
+        if (!this.ensureBackendAvailable()) return;
+
+        if (videoAPI.validatePlaylistURL(url)) {
+            if (!healthMonitor.supports('playlists')) {
+                this.showError(i18n.t('playlist.unsupported'));
+                return;
+            }
+            await this.getPlaylistPreview(url);
+            return;
+        }
+
+        if (!videoAPI.validateVideoURL(url)) {
+            this.showError(i18n.t('url.invalid', { sites: this.getSupportedSites() }));
+            return;
+        }
+
+        await this.getVideoPreview(url, { quality: options.quality });
+    }
+
+    /**
+     * Open the video or playlist named in the address bar
+     * Runs on startup and when Back or Forward changes the link.
+     */
+    openLink() {
+        const link = uiState.readLink();
+        if (!link) {
+            if (uiState.state !== 'idle') {
+                this.reset();
+            }
+            return;
+        }
+
+        // Same video as on screen: only the quality may differ
+        const open = providerRegistry.parse(this.elements.videoUrl.value.trim());
+        const linked = providerRegistry.parse(link.url);
+        if (this.currentVideoInfo && open && open.canonicalURL === linked.canonicalURL) {
+            if (link.quality) this.selectQuality(link.quality);
+            return;
+        }
+
+        this.elements.videoUrl.value = link.url;
+        this.handlePreviewClick({ quality: link.quality });
+    }
+
+    /**
+     * Put the open video or playlist and the selected quality in the address bar
+     */
+    updateLink() {
+        const quality = uiState.state === 'preview' && this.downloadMode === 'video' ? this.selectedQuality : null;
+        uiState.writeLink(this.elements.videoUrl.value.trim(), quality);
+    }
+
+    /**
+     * Get video preview information
+     * @param {string} url - Video URL
+     * @param {Object} options - Preview options
+     * @param {boolean} options.refresh - Skip the preview cache (optional)
+     * @param {string} options.quality - Quality to preselect instead of the best one (optional)
+     */
+    async getVideoPreview(url, options = {}) {
+        const controller = this.beginRequest();
+        this.lastAction = () => this.getVideoPreview(url, options);
+
+        try {
+            this.showLoading();
+            
+            const videoInfo = await videoAPI.getVideoPreview(url, {
+                onRetry: (retry) => this.startRetryCountdown(this.elements.loadingText, retry),
+                signal: controller.signal,
+                refresh: options.refresh
+            });
+            if (!this.isCurrentRequest(controller)) return;
+
+            this.currentVideoInfo = videoInfo;
+            
+            this.displayVideoPreview(videoInfo);
+            this.showPreview();
+            if (options.quality) {
+                this.selectQuality(options.quality);
+            }
+            this.updateLink();
+            this.announce(i18n.t('a11y.previewReady', {
+                title: videoInfo.title,
+                count: this.elements.qualityButtons.querySelectorAll('.quality-btn').length
+            }));
+            this.elements.downloadBtn.focus();
+            
+        } catch (error) {
+            if (!this.isCurrentRequest(controller)) return;
+
+            this.showError(videoAPI.toAPIError(error));
+        } finally {
+            this.finishRequest(controller);
+        }
+    }
+
+    /**
+     * Get playlist information and its entries
+     * @param {string} url - Playlist URL
+     */
+    async getPlaylistPreview(url) {
+        const controller = this.beginRequest();
+        this.lastAction = () => this.getPlaylistPreview(url);
+
+        try {
+            this.showLoading();
+
+            const playlistInfo = await videoAPI.getPlaylistPreview(url, {
+                onRetry: (retry) => this.startRetryCountdown(this.elements.loadingText, retry),
+                signal: controller.signal
+            });
+            if (!this.isCurrentRequest(controller)) return;
+
+            this.currentPlaylist = playlistInfo;
+
+            this.displayPlaylistPreview(playlistInfo);
+            this.showPlaylist();
+            this.updateLink();
+            this.announce(i18n.t('a11y.playlistReady', {
+                title: playlistInfo.title,
+                count: (playlistInfo.entries || []).length
+            }));
+            this.elements.playlistDownloadBtn.focus();
+
+        } catch (error) {
+            if (!this.isCurrentRequest(controller)) return;
+
+            this.showError(videoAPI.toAPIError(error));
+        } finally {
+            this.finishRequest(controller);
+        }
+    }
+
+    /**
+     * Display playlist information and entry list
+     * @param {Object} playlistInfo - Playlist information from API
+     */
+    displayPlaylistPreview(playlistInfo) {
+        const entries = playlistInfo.entries || [];
+
+        this.elements.playlistTitle.textContent = playlistInfo.title;
+        this.renderPlaylistMeta();
+        this.elements.playlistSelectAll.checked = true;
+
+        this.generatePlaylistEntries(entries);
+        this.updatePlaylistSelection();
+    }
+
+    /**
+     * Show the playlist's video count and uploader
+     */
+    renderPlaylistMeta() {
+        const { entries = [], uploader } = this.currentPlaylist;
+        const count = i18n.t('playlist.videos', { count: entries.length });
+
+        this.elements.playlistMeta.textContent = uploader
+            ? `${count} · ${i18n.t('preview.by', { uploader })}`
+            : count;
+    }
+
+    /**
+     * Generate playlist entry rows
+     * @param {Array} entries - Playlist entries
+     */
+    generatePlaylistEntries(entries) {
+        this.elements.playlistEntries.innerHTML = '';
+
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.className = 'playlist-entry';
+            item.dataset.index = index;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'playlist-entry-checkbox';
+            checkbox.checked = true;
+            checkbox.setAttribute('aria-label', entry.title);
+
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'playlist-entry-thumbnail';
+            thumbnail.src = entry.thumbnail || '';
+            thumbnail.alt = '';
+            thumbnail.loading = 'lazy';
+
+            const details = document.createElement('div');
+            details.className = 'playlist-entry-details';
+
+            const title = document.createElement('span');
+            title.className = 'playlist-entry-title';
+            title.textContent = entry.title;
+
+            const duration = document.createElement('span');
+            duration.className = 'playlist-entry-duration';
+            duration.textContent = entry.duration_formatted || '';
+
+            const status = document.createElement('span');
+            status.className = 'playlist-entry-status';
+
+            details.append(title, duration);
+            item.append(checkbox, thumbnail, details, status);
+
+            // Add animation delay for staggered appearance
+            item.style.animationDelay = `${Math.min(index, 20) * 30}ms`;
+            item.classList.add('fade-in');
+
+            this.elements.playlistEntries.appendChild(item);
+        });
+    }
+
+    /**
+     * Get the playlist entries currently ticked by the user
+     * @returns {Array<{entry: Object, item: HTMLElement}>} Selected entries with their rows
+     */
+    getSelectedPlaylistEntries() {
+        const items = this.elements.playlistEntries.querySelectorAll('.playlist-entry');
+        return Array.from(items)
+            .filter(item => item.querySelector('.playlist-entry-checkbox').checked)
+            .map(item => ({
+                entry: this.currentPlaylist.entries[item.dataset.index],
+                item
+            }));
+    }
+
+    /**
+     * Tick or untick every playlist entry
+     * @param {boolean} checked - New checked state
+     */
+    toggleAllPlaylistEntries(checked) {
+        const checkboxes = this.elements.playlistEntries.querySelectorAll('.playlist-entry-checkbox');
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = checked;
+        });
+        this.updatePlaylistSelection();
+    }
+
+    /**
+     * Update selection summary and bulk download button state
+     */
+    updatePlaylistSelection() {
+        const total = this.elements.playlistEntries.querySelectorAll('.playlist-entry-checkbox').length;
+        const selected = this.getSelectedPlaylistEntries().length;
+
+        this.elements.playlistProgress.textContent = i18n.t('playlist.selected', { selected, count: total });
+        this.elements.playlistSelectAll.checked = total > 0 && selected === total;
+        this.elements.playlistSelectAll.indeterminate = selected > 0 && selected < total;
+        this.elements.playlistDownloadBtn.disabled = selected === 0;
+    }
+
+    /**
+     * Handle playlist bulk download click
+     */
+    async handlePlaylistDownloadClick() {
+        if (!this.currentPlaylist) {
+            this.showError(i18n.t('playlist.previewFirst'));
+            return;
+        }
+
+        const selected = this.getSelectedPlaylistEntries();
+        if (selected.length === 0) {
+            this.showError(i18n.t('playlist.selectOne'));
+            return;
+        }
+
+        if (!this.ensureBackendAvailable()) return;
+
+        await this.downloadPlaylist(selected, this.elements.playlistQuality.value);
+    }
+
+    /**
+     * Download selected playlist entries one after another
+     * @param {Array<{entry: Object, item: HTMLElement}>} selected - Entries to download
+     * @param {string} quality - Quality rule applied to every entry
+     */
+    async downloadPlaylist(selected, quality) {
+        if (!uiState.transition('downloading')) return;
+
+        const controller = this.beginRequest();
+        animationManager.addLoadingState(this.elements.playlistDownloadBtn);
+        this.elements.cancelPlaylistBtn.classList.remove('hidden');
+
+        let completed = 0;
+        let failed = 0;
+        let cancelled = 0;
+
+        for (const { entry, item } of selected) {
+            if (controller.signal.aborted) {
+                cancelled++;
+                this.setPlaylistEntryStatus(item, 'failed', i18n.t('status.cancelled'));
+                continue;
+            }
+
+            this.setPlaylistEntryStatus(item, 'downloading', i18n.t('status.downloading'));
+            this.elements.playlistProgress.textContent =
+                i18n.t('playlist.downloading', { current: completed + failed + cancelled + 1, count: selected.length });
+
+            try {
+                const response = await videoAPI.downloadVideo(videoAPI.getEntryURL(entry), quality, null, {
+                    signal: controller.signal
+                });
+
+                if (response.success) {
+                    completed++;
+                    this.setPlaylistEntryStatus(item, 'done', i18n.t('job.ready'));
+                    this.addPlaylistEntryLink(item, response.filename);
+                    this.recordHistory({
+                        url: videoAPI.getEntryURL(entry),
+                        quality,
+                        filename: response.filename,
+                        videoInfo: entry
+                    });
+                } else {
+                    failed++;
+                    this.setPlaylistEntryStatus(item, 'failed', response.message || i18n.t('status.failed'));
+                }
+            } catch (error) {
+                if (videoAPI.toAPIError(error).type === 'cancelled') {
+                    cancelled++;
+                    this.setPlaylistEntryStatus(item, 'failed', i18n.t('status.cancelled'));
+                } else {
+                    failed++;
+                    this.setPlaylistEntryStatus(item, 'failed', videoAPI.handleError(error));
+                }
+            }
+        }
+
+        animationManager.removeLoadingState(this.elements.playlistDownloadBtn);
+        this.elements.cancelPlaylistBtn.classList.add('hidden');
+        this.finishRequest(controller);
+        if (uiState.state === 'downloading') {
+            uiState.transition('playlist');
+        }
+        this.elements.playlistProgress.textContent = [
+            i18n.t('playlist.done', { completed, count: selected.length }),
+            failed ? i18n.t('playlist.failed', { count: failed }) : '',
+            cancelled ? i18n.t('playlist.cancelled', { count: cancelled }) : ''
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Update the status label of a playlist entry row
+     * @param {HTMLElement} item - Playlist entry row
+     * @param {string} state - Status state ('downloading', 'done', 'failed')
+     * @param {string} text - Status text to display
+     */
+    setPlaylistEntryStatus(item, state, text) {
+        const status = item.querySelector('.playlist-entry-status');
+        status.className = `playlist-entry-status ${state}`;
+        status.textContent = text;
+        status.title = text;
+    }
+
+    /**
+     * Add a save link to a finished playlist entry
+     * Files are saved when the user clicks the link: browsers block a run of automatic downloads.
+     * @param {HTMLElement} item - Playlist entry row
+     * @param {string} filename - Filename returned by the backend
+     */
+    addPlaylistEntryLink(item, filename) {
+        const status = item.querySelector('.playlist-entry-status');
+        const link = document.createElement('a');
+        link.className = 'playlist-entry-link';
+        link.href = videoAPI.getDownloadURL(filename);
+        link.download = filename;
+        link.textContent = i18n.t('common.save');
+
+        status.textContent = '';
+        status.appendChild(link);
+    }
+
+    /**
+     * Handle a click on the save link of a finished playlist entry or queue item
+     * The file goes through a Blob because browsers ignore the download attribute on cross-origin links.
+     * @param {Event} e - Click event
+     * @param {HTMLAnchorElement} link - Save link
+     */
+    async handleSaveLinkClick(e, link) {
+        if (!window.fetch) return;
+
+        e.preventDefault();
+        if (link.getAttribute('aria-disabled') === 'true') return;
+
+        link.setAttribute('aria-disabled', 'true');
+        link.textContent = i18n.t('status.downloading');
+        link.removeAttribute('title');
+
+        try {
+            await this.saveDownloadedFile(link.download);
+            link.textContent = i18n.t('common.save');
+        } catch (error) {
+            // Clicking again retries
+            link.textContent = i18n.t('status.failed');
+            link.title = videoAPI.handleError(error);
+        } finally {
+            link.removeAttribute('aria-disabled');
+        }
+    }
+
+    /**
+     * Show the uploader, view and like counts and cache age of a video
+     * @param {Object} videoInfo - Video information from API
+     */
+    renderVideoStats(videoInfo) {
+        this.elements.videoUploader.textContent = i18n.t('preview.by', { uploader: videoInfo.uploader });
+        this.elements.videoViews.textContent = i18n.t('preview.views', {
+            count: videoInfo.view_count,
+            views: videoAPI.formatNumber(videoInfo.view_count)
+        });
+        this.elements.videoLikes.textContent = i18n.t('preview.likes', {
+            count: videoInfo.like_count,
+            likes: videoAPI.formatNumber(videoInfo.like_count)
+        });
+
+        // Let the user know when the information may be slightly out of date
+        this.elements.videoCached.classList.toggle('hidden', !videoInfo.cached_at);
+        if (videoInfo.cached_at) {
+            const minutes = Math.round((Date.now() - videoInfo.cached_at) / 60000);
+            this.elements.videoCached.textContent = minutes < 1
+                ? i18n.t('preview.cachedNow')
+                : i18n.t('preview.cachedMinutes', { count: minutes });
+        }
+    }
+
+    /**
+     * Display video preview information
+     * @param {Object} videoInfo - Video information from API
+     */
+    displayVideoPreview(videoInfo) {
+        // Update video details
+        this.elements.videoThumbnail.src = videoInfo.thumbnail;
+        this.elements.videoThumbnail.alt = videoInfo.title;
+        this.elements.videoTitle.textContent = videoInfo.title;
+        this.elements.videoDuration.textContent = videoInfo.duration_formatted;
+        this.renderVideoStats(videoInfo);
+
+        // Clip and caption choices survive a refresh of the same video
+        const videoId = videoAPI.extractVideoID(this.elements.videoUrl.value);
+        if (!videoId || videoId !== this.previewVideoId) {
+            this.previewVideoId = videoId;
+            this.setupClip(videoInfo);
+            this.selectedCaptions.clear();
+            this.elements.captionEmbed.checked = false;
+            this.elements.captionStatus.textContent = '';
+        }
+        this.renderCaptions();
+        this.elements.metadataStatus.textContent = '';
+
+        // Generate quality buttons for the current mode
+        this.renderQualityButtons();
+    }
+
+    /**
+     * Size the clip timeline to a newly previewed video
+     * The start is taken from the URL's t= parameter when there is one.
+     * @param {Object} videoInfo - Video information from API
+     */
+    setupClip(videoInfo) {
+        const url = this.elements.videoUrl.value;
+        const duration = Math.floor(videoInfo.duration || 0);
+        const start = Math.min(videoAPI.extractStartTime(url) || 0, Math.max(0, duration - 1));
+
+        this.elements.clipStartRange.max = duration;
+        this.elements.clipEndRange.max = duration;
+        this.elements.clipEnabled.checked = false;
+        this.elements.clipControls.classList.add('hidden');
+        this.setClip({ start, end: duration });
+    }
+
+    /**
+     * Save the previewed video's metadata as a JSON, NFO or CSV sidecar file
+     */
+    handleExportMetadataClick() {
+        if (!this.currentVideoInfo) return;
+
+        const { blob, filename } = metadataExporter.export(
+            this.currentVideoInfo,
+            this.elements.videoUrl.value,
+            this.elements.metadataFormat.value
+        );
+        this.saveBlob(blob, filename);
+        this.elements.metadataStatus.classList.remove('failed');
+        this.elements.metadataStatus.textContent = i18n.t('common.saved', { filename });
+    }
+
+    /**
+     * Save the previewed video's full-resolution thumbnail in the chosen format
+     */
+    async handleThumbnailDownloadClick() {
+        if (!this.currentVideoInfo) return;
+
+        const button = this.elements.thumbnailDownloadBtn;
+        animationManager.addLoadingState(button);
+        this.elements.metadataStatus.classList.remove('failed');
+        this.elements.metadataStatus.textContent = i18n.t('metadata.fetchingThumbnail');
+
+        try {
+            const { blob, filename } = await metadataExporter.fetchThumbnail(
+                this.currentVideoInfo,
+                this.elements.videoUrl.value,
+                this.elements.thumbnailFormat.value
+            );
+            this.saveBlob(blob, filename);
+            this.elements.metadataStatus.textContent = i18n.t('common.saved', { filename });
+        } catch (error) {
+            this.elements.metadataStatus.textContent = error.message;
+            this.elements.metadataStatus.classList.add('failed');
+        } finally {
+            animationManager.removeLoadingState(button);
+        }
+    }
+
+    /**
+     * Restore the last chosen export formats
+     */
+    loadExportFormats() {
+        let formats = null;
+        try {
+            formats = JSON.parse(localStorage.getItem(this.exportFormatsKey));
+        } catch (error) {
+            // Storage unavailable or corrupt; keep the defaults
+        }
+        if (!formats) return;
+
+        [
+            [this.elements.metadataFormat, formats.metadata],
+            [this.elements.thumbnailFormat, formats.thumbnail]
+        ].forEach(([select, value]) => {
+            if (Array.from(select.options).some(option => option.value === value)) {
+                select.value = value;
+            }
+        });
+    }
+
+    /**
+     * Remember the chosen export formats
+     */
+    saveExportFormats() {
+        try {
+            localStorage.setItem(this.exportFormatsKey, JSON.stringify({
+                metadata: this.elements.metadataFormat.value,
+                thumbnail: this.elements.thumbnailFormat.value
+            }));
+        } catch (error) {
+            // Storage unavailable (private mode); the choice just won't be remembered
+        }
+    }
+
+    /**
+     * Get the key identifying a caption track
+     * @param {Object} track - Caption track ({ language, automatic })
+     * @returns {string} Track key
+     */
+    getCaptionKey(track) {
+        return `${track.language}:${track.automatic ? 'auto' : 'manual'}`;
+    }
+
+    /**
+     * Render the caption track list
+     * Manual tracks are always shown; auto-generated ones only on request, as there are often dozens.
+     */
+    renderCaptions() {
+        const tracks = (this.currentVideoInfo && this.currentVideoInfo.captions) || [];
+        this.elements.captionsSection.classList.toggle('hidden', tracks.length === 0);
+
+        const byName = (a, b) => videoAPI.formatLanguage(a).localeCompare(videoAPI.formatLanguage(b));
+        const manual = tracks.filter(track => !track.automatic).sort(byName);
+        const automatic = tracks.filter(track => track.automatic).sort(byName);
+        const visible = this.elements.captionShowAuto.checked ? [...manual, ...automatic] : manual;
+
+        this.elements.captionShowAuto.closest('label').classList.toggle('hidden', automatic.length === 0);
+        this.elements.captionShowAutoLabel.textContent = i18n.t('captions.showAuto', { count: automatic.length });
+
+        this.elements.captionList.innerHTML = '';
+        if (visible.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'caption-empty';
+            empty.textContent = i18n.t('captions.onlyAuto');
+            this.elements.captionList.appendChild(empty);
+        }
+
+        visible.forEach(track => {
+            this.elements.captionList.appendChild(this.createCaptionItem(track));
+        });
+
+        this.updateCaptionActions();
+    }
+
+    /**
+     * Create a caption track list item
+     * @param {Object} track - Caption track ({ language, name, automatic })
+     * @returns {HTMLElement} List item
+     */
+    createCaptionItem(track) {
+        const item = document.createElement('li');
+
+        const label = document.createElement('label');
+        label.className = 'caption-track';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'caption-checkbox';
+        checkbox.dataset.key = this.getCaptionKey(track);
+        checkbox.checked = this.selectedCaptions.has(checkbox.dataset.key);
+
+        const name = document.createElement('span');
+        name.textContent = videoAPI.formatLanguage(track);
+        name.title = track.language;
+
+        label.append(checkbox, name);
+
+        if (track.automatic) {
+            const auto = document.createElement('span');
+            auto.className = 'caption-track-auto';
+            auto.textContent = i18n.t('captions.auto');
+            auto.title = i18n.t('captions.autoGenerated');
+            label.appendChild(auto);
+        }
+
+        item.appendChild(label);
+        return item;
+    }
+
+    /**
+     * Handle a caption track checkbox change
+     * @param {HTMLInputElement} checkbox - Track checkbox
+     */
+    handleCaptionToggle(checkbox) {
+        const track = this.currentVideoInfo.captions.find(caption => this.getCaptionKey(caption) === checkbox.dataset.key);
+        if (!track) return;
+
+        if (checkbox.checked) {
+            this.selectedCaptions.set(checkbox.dataset.key, track);
+        } else {
+            this.selectedCaptions.delete(checkbox.dataset.key);
+        }
+
+        this.updateCaptionActions();
+    }
+
+    /**
+     * Enable the caption actions that apply to the current selection and mode
+     */
+    updateCaptionActions() {
+        this.elements.captionDownloadBtn.disabled = this.selectedCaptions.size === 0;
+
+        // Audio files can't carry subtitle tracks
+        this.elements.captionEmbed.disabled = this.downloadMode === 'audio';
+    }
+
+    /**
+     * Get the caption tracks to embed in the video download
+     * @returns {Array<Object>|null} Tracks as { language, automatic }, or null if nothing is embedded
+     */
+    getEmbeddedCaptions() {
+        if (!this.elements.captionEmbed.checked || this.downloadMode === 'audio' || this.selectedCaptions.size === 0) {
+            return null;
+        }
+
+        return Array.from(this.selectedCaptions.values(), ({ language, automatic }) => ({ language, automatic }));
+    }
+
+    /**
+     * Download the selected caption tracks as subtitle files
+     */
+    async downloadSelectedCaptions() {
+        const url = this.elements.videoUrl.value.trim();
+        const format = this.elements.captionFormat.value;
+        const tracks = Array.from(this.selectedCaptions.values());
+        if (tracks.length === 0) return;
+
+        const button = this.elements.captionDownloadBtn;
+        animationManager.addLoadingState(button);
+        this.elements.captionStatus.classList.remove('failed');
+
+        const failed = [];
+        for (const track of tracks) {
+            this.elements.captionStatus.textContent = i18n.t('captions.preparing', { language: videoAPI.formatLanguage(track) });
+
+            try {
+                const response = await videoAPI.downloadCaptions(url, track, format);
+                if (!response.filename) {
+                    throw new Error(response.message || i18n.t('captions.noFile'));
+                }
+                await this.saveDownloadedFile(response.filename);
+            } catch (error) {
+                failed.push(`${videoAPI.formatLanguage(track)}: ${videoAPI.handleError(error)}`);
+            }
+        }
+
+        animationManager.removeLoadingState(button);
+        this.updateCaptionActions();
+
+        const saved = tracks.length - failed.length;
+        this.elements.captionStatus.textContent = failed.length === 0
+            ? i18n.t('captions.downloaded', { count: saved })
+            : `${i18n.t('captions.downloadedSome', { saved, count: tracks.length })} ${failed.join(' ')}`;
+        this.elements.captionStatus.classList.toggle('failed', failed.length > 0);
+    }
+
+    /**
+     * Show a clip range in the inputs and on the timeline
+     * @param {Object} clip - Clip range ({ start, end } in seconds)
+     */
+    setClip({ start, end }) {
+        this.elements.clipStartRange.value = Math.floor(start);
+        this.elements.clipEndRange.value = Math.ceil(end);
+        this.elements.clipStart.value = videoAPI.formatDuration(start);
+        this.elements.clipEnd.value = videoAPI.formatDuration(end);
+        this.validateClip();
+    }
+
+    /**
+     * Handle a timeline slider moving, keeping the start before the end
+     * @param {HTMLInputElement} slider - Slider that moved
+     */
+    handleClipSlider(slider) {
+        let start = Number(this.elements.clipStartRange.value);
+        let end = Number(this.elements.clipEndRange.value);
+
+        if (start >= end) {
+            if (slider === this.elements.clipStartRange) {
+                start = Math.max(0, end - 1);
+            } else {
+                end = Math.min(Number(slider.max), start + 1);
+            }
+        }
+
+        this.setClip({ start, end });
+    }
+
+    /**
+     * Handle typing in the start and end inputs
+     */
+    handleClipInput() {
+        const start = videoAPI.parseTimestamp(this.elements.clipStart.value);
+        const end = videoAPI.parseTimestamp(this.elements.clipEnd.value);
+
+        if (start !== null) this.elements.clipStartRange.value = Math.floor(start);
+        if (end !== null) this.elements.clipEndRange.value = Math.ceil(end);
+
+        this.validateClip();
+    }
+
+    /**
+     * Get the chosen clip range
+     * @returns {Object|null} Clip range ({ start, end } in seconds), or null to download the whole video
+     */
+    getClip() {
+        if (!this.elements.clipEnabled.checked) return null;
+
+        return {
+            start: videoAPI.parseTimestamp(this.elements.clipStart.value),
+            end: videoAPI.parseTimestamp(this.elements.clipEnd.value)
+        };
+    }
+
+    /**
+     * Validate the chosen clip range and update the timeline and error message
+     * @returns {boolean} True if there is no clip or the range is valid
+     */
+    validateClip() {
+        const clip = this.getClip();
+        const duration = this.currentVideoInfo ? Math.floor(this.currentVideoInfo.duration || 0) : 0;
+        const error = clip ? videoAPI.getClipError(clip, duration) : null;
+
+        this.elements.clipError.textContent = error || '';
+        this.elements.clipError.classList.toggle('hidden', !error);
+        this.elements.clipStart.classList.toggle('invalid', Boolean(error) && (clip.start === null || clip.start < 0));
+        this.elements.clipEnd.classList.toggle('invalid', Boolean(error) && clip.start !== null && clip.start >= 0);
+
+        // Highlight the selected part of the timeline
+        const max = Number(this.elements.clipEndRange.max) || 1;
+        const start = Number(this.elements.clipStartRange.value);
+        const end = Number(this.elements.clipEndRange.value);
+        this.elements.clipRange.style.left = `${(start / max) * 100}%`;
+        this.elements.clipRange.style.width = `${Math.max(0, end - start) / max * 100}%`;
+
+        this.elements.clipLength.textContent = clip && !error
+            ? i18n.t('clip.length', { duration: videoAPI.formatDuration(clip.end - clip.start) })
+            : '';
+
+        return !error;
+    }
+
+    /**
+     * Switch between downloading video and extracting audio
+     * @param {string} mode - 'video' or 'audio'
+     */
+    setDownloadMode(mode) {
+        this.downloadMode = mode === 'audio' ? 'audio' : 'video';
+
+        this.elements.modeButtons.forEach(button => {
+            const selected = button.dataset.mode === this.downloadMode;
+            button.classList.toggle('selected', selected);
+            button.setAttribute('aria-pressed', String(selected));
+        });
+        this.elements.audioOptions.classList.toggle('hidden', this.downloadMode !== 'audio');
+        this.elements.downloadBtn.querySelector('.btn-text').textContent =
+            i18n.t(this.downloadMode === 'audio' ? 'quality.downloadAudio' : 'quality.downloadVideo');
+
+        this.updateCaptionActions();
+
+        if (this.currentVideoInfo) {
+            this.renderQualityButtons();
+        }
+    }
+
+    /**
+     * Show the quality buttons for the current download mode
+     */
+    renderQualityButtons() {
+        if (this.downloadMode === 'audio') {
+            this.generateAudioButtons(this.currentVideoInfo.audio_formats || []);
+        } else {
+            this.generateQualityButtons(this.currentVideoInfo.formats);
+        }
+
+        this.renderFormatTable();
+    }
+
+    /**
+     * Switch between the quality buttons and the advanced format table
+     * @param {string} view - 'simple' or 'table'
+     */
+    setFormatView(view) {
+        this.formatView = view === 'table' ? 'table' : 'simple';
+
+        const showTable = this.formatView === 'table';
+        this.elements.qualityButtons.classList.toggle('hidden', showTable);
+        this.elements.formatTable.classList.toggle('hidden', !showTable);
+        this.elements.formatViewBtn.setAttribute('aria-pressed', String(showTable));
+        this.elements.formatViewBtn.textContent = i18n.t(showTable ? 'formats.simpleView' : 'formats.allFormats');
+    }
+
+    /**
+     * Sort the format table by a column, reversing the order when it is already sorted by it
+     * @param {string} key - Sort key (see getFormatSortValue)
+     */
+    handleFormatSort(key) {
+        if (this.formatSort.key === key) {
+            this.formatSort.direction = this.formatSort.direction === 'ascending' ? 'descending' : 'ascending';
+        } else {
+            this.formatSort = { key, direction: 'ascending' };
+        }
+
+        this.renderFormatTable();
+    }
+
+    /**
+     * Get the value a format is sorted by for a table column
+     * @param {Object} format - Format from the preview response
+     * @param {string} key - Sort key
+     * @returns {number|string} Sort value
+     */
+    getFormatSortValue(format, key) {
+        switch (key) {
+            case 'quality':
+                return format.height || parseInt(format.quality, 10) || format.abr || 0;
+            case 'container':
+                return format.ext || '';
+            case 'vcodec':
+                return videoAPI.formatCodec(format.vcodec);
+            case 'acodec':
+                return videoAPI.formatCodec(format.acodec);
+            case 'fps':
+                return format.fps || 0;
+            case 'bitrate':
+                return format.tbr || (format.vbr || 0) + (format.abr || 0);
+            case 'hdr':
+                return videoAPI.isHDRFormat(format) ? 1 : 0;
+            case 'size':
+                return format.filesize || format.filesize_approx || 0;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Render the advanced format table for the current mode, filter and sort order
+     */
+    renderFormatTable() {
+        const isAudio = this.downloadMode === 'audio';
+        const formats = (this.currentVideoInfo && (isAudio
+            ? this.currentVideoInfo.audio_formats
+            : this.currentVideoInfo.formats)) || [];
+
+        const terms = this.elements.formatFilter.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        const hdrOnly = this.elements.formatHdrOnly.checked;
+        const { key, direction } = this.formatSort;
+
+        const rows = formats
+            .map(format => ({ format, label: isAudio ? videoAPI.formatAudioStream(format) : format.quality }))
+            .filter(({ format }) => !hdrOnly || videoAPI.isHDRFormat(format))
+            .filter(({ format, label }) => {
+                const text = [
+                    label,
+                    format.ext,
+                    format.vcodec,
+                    format.acodec,
+                    videoAPI.formatCodec(format.vcodec),
+                    videoAPI.formatCodec(format.acodec),
+                    format.fps ? `${format.fps}fps` : '',
+                    videoAPI.isHDRFormat(format) ? 'hdr' : ''
+                ].join(' ').toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => {
+                const valueA = this.getFormatSortValue(a.format, key);
+                const valueB = this.getFormatSortValue(b.format, key);
+                const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+                return direction === 'ascending' ? order : -order;
+            });
+
+        this.elements.formatTableBody.innerHTML = '';
+        rows.forEach(({ format, label }) => {
+            this.elements.formatTableBody.appendChild(this.createFormatRow(format, label));
+        });
+
+        this.elements.formatTableEmpty.textContent = formats.length === 0
+            ? i18n.t('formats.none')
+            : i18n.t('formats.noMatch');
+        this.elements.formatTableEmpty.classList.toggle('hidden', rows.length > 0);
+
+        this.elements.formatSortButtons.forEach(button => {
+            const header = button.closest('th');
+            if (button.dataset.sort === key) {
+                header.setAttribute('aria-sort', direction);
+            } else {
+                header.removeAttribute('aria-sort');
+            }
+        });
+    }
+
+    /**
+     * Create a row of the advanced format table
+     * @param {Object} format - Format from the preview response
+     * @param {string} label - Quality label shown in the first column
+     * @returns {HTMLElement} Table row
+     */
+    createFormatRow(format, label) {
+        const row = document.createElement('tr');
+        row.className = 'format-row';
+        row.tabIndex = 0;
+        row.dataset.quality = this.downloadMode === 'audio' && format.abr
+            ? `${Math.round(format.abr)}kbps`
+            : format.quality;
+        row.dataset.formatId = format.format_id;
+        row.dataset.filesize = format.filesize_formatted || (format.filesize ? videoAPI.formatBytes(format.filesize) : i18n.t('common.unknown'));
+
+        const vcodec = videoAPI.formatCodec(format.vcodec);
+        row.dataset.label = [label, vcodec, format.fps > 30 ? `${format.fps}fps` : '', videoAPI.isHDRFormat(format) ? 'HDR' : '']
+            .filter(Boolean)
+            .join(' · ');
+
+        if (String(format.format_id) === String(this.selectedFormatId)) {
+            row.classList.add('selected');
+        }
+
+        const bitrate = this.getFormatSortValue(format, 'bitrate');
+        const cells = [
+            label,
+            format.ext ? format.ext.toUpperCase() : '—',
+            vcodec || '—',
+            videoAPI.formatCodec(format.acodec) || '—',
+            format.fps ? String(format.fps) : '—',
+            bitrate ? `${Math.round(bitrate)} kbps` : '—',
+            videoAPI.isHDRFormat(format) ? (format.dynamic_range || 'HDR') : '—',
+            row.dataset.filesize
+        ];
+
+        cells.forEach((text, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (index === 6 && text !== '—') {
+                cell.className = 'format-hdr';
+            }
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    /**
+     * Generate quality selection buttons
+     * @param {Array} formats - Available video formats
+     */
+    generateQualityButtons(formats) {
+        this.elements.qualityButtons.innerHTML = '';
+
+        formats.forEach((format, index) => {
+            const button = this.createQualityButton();
+            button.dataset.quality = format.quality;
+            button.dataset.formatId = format.format_id;
+            button.dataset.filesize = format.filesize_formatted;
+
+            // Format details come from the backend: render them as text, never as markup
+            domRenderer.render(button, [
+                domRenderer.create('span', { className: 'quality-label' }, [format.quality]),
+                domRenderer.create('span', { className: 'quality-details' }, [format.filesize_formatted])
+            ]);
+
+            // Add animation delay for staggered appearance
+            button.style.animationDelay = `${index * 50}ms`;
+            button.classList.add('fade-in');
+
+            this.elements.qualityButtons.appendChild(button);
+        });
+
+        // Auto-select highest quality
+        const firstButton = this.elements.qualityButtons.querySelector('.quality-btn');
+        if (firstButton) {
+            this.handleQualitySelection(firstButton);
+        }
+    }
+
+    /**
+     * Generate audio stream buttons, best bitrate first
+     * @param {Array} formats - Available audio-only formats
+     */
+    generateAudioButtons(formats) {
+        this.elements.qualityButtons.innerHTML = '';
+
+        const streams = [...formats].sort((a, b) => (b.abr || 0) - (a.abr || 0));
+
+        // Without stream details the backend still picks the best audio itself
+        if (streams.length === 0) {
+            streams.push({ quality: 'bestaudio', format_id: '', filesize_formatted: i18n.t('quality.bestAvailable') });
+        }
+
+        streams.forEach((format, index) => {
+            const button = this.createQualityButton();
+            button.dataset.quality = format.abr ? `${Math.round(format.abr)}kbps` : (format.quality || 'bestaudio');
+            button.dataset.formatId = format.format_id;
+            button.dataset.filesize = format.filesize_formatted || i18n.t('common.unknown');
+            button.dataset.label = format.acodec || format.abr ? videoAPI.formatAudioStream(format) : i18n.t('quality.bestAudio');
+
+            domRenderer.render(button, [
+                domRenderer.create('span', { className: 'quality-label' }, [button.dataset.label]),
+                domRenderer.create('span', { className: 'quality-details' }, [button.dataset.filesize])
+            ]);
+
+            button.style.animationDelay = `${index * 50}ms`;
+            button.classList.add('fade-in');
+
+            this.elements.qualityButtons.appendChild(button);
+        });
+
+        const firstButton = this.elements.qualityButtons.querySelector('.quality-btn');
+        if (firstButton) {
+            this.handleQualitySelection(firstButton);
+        }
+    }
+
+    /**
+     * Create an unselected quality button for the radiogroup
+     * Only the checked button is in the tab order; arrow keys reach the others.
+     * @returns {HTMLButtonElement} Quality button
+     */
+    createQualityButton() {
+        return domRenderer.create('button', {
+            className: 'quality-btn',
+            attributes: { type: 'button', role: 'radio', 'aria-checked': 'false', tabindex: '-1' }
+        });
+    }
+
+    /**
+     * Move the quality selection with the arrow, Home and End keys
+     * Like native radio buttons, moving focus also selects, and the arrows wrap around.
+     * @param {KeyboardEvent} e - Keydown event from the quality radiogroup
+     */
+    handleQualityKeydown(e) {
+        const buttons = Array.from(this.elements.qualityButtons.querySelectorAll('.quality-btn'));
+        const index = buttons.indexOf(e.target.closest('.quality-btn'));
+        if (index === -1) return;
+
+        // Left and right follow the reading direction
+        const forward = i18n.getDirection() === 'rtl' ? -1 : 1;
+        const steps = { ArrowDown: 1, ArrowUp: -1, ArrowRight: forward, ArrowLeft: -forward };
+
+        let next;
+        if (steps[e.key]) {
+            next = (index + steps[e.key] + buttons.length) % buttons.length;
+        } else if (e.key === 'Home') {
+            next = 0;
+        } else if (e.key === 'End') {
+            next = buttons.length - 1;
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        buttons[next].focus();
+        this.handleQualitySelection(buttons[next]);
+    }
+
+    /**
+     * Get the audio output format for the current mode
+     * @returns {string|null} 'mp3', 'm4a' or 'opus' in audio mode, otherwise null
+     */
+    getAudioFormat() {
+        return this.downloadMode === 'audio' ? this.elements.audioFormat.value : null;
+    }
+
+    /**
+     * Handle quality button or format table row selection
+     * @param {HTMLElement} button - Selected quality button or format row
+     */
+    handleQualitySelection(button) {
+        // Remove selection from all buttons and rows
+        const allOptions = this.getFormatOptions();
+        allOptions.forEach(btn => {
+            btn.classList.remove('selected');
+        });
+
+        // Select the clicked option and its counterpart in the other view
+        allOptions
+            .filter(option => option === button || (button.dataset.formatId && option.dataset.formatId === button.dataset.formatId))
+            .forEach(option => option.classList.add('selected'));
+
+        // Keep the radiogroup state and tab stop on the checked button
+        // (or on the first one, when the choice came from a table row without a button)
+        const qualityButtons = Array.from(this.elements.qualityButtons.querySelectorAll('.quality-btn'));
+        const checked = qualityButtons.find(option => option.classList.contains('selected')) || qualityButtons[0];
+        qualityButtons.forEach(option => {
+            option.setAttribute('aria-checked', String(option.classList.contains('selected')));
+            option.tabIndex = option === checked ? 0 : -1;
+        });
+        if (button.classList.contains('quality-btn')) {
+            animationManager.animateQualitySelection(button, true);
+        }
+
+        // Update selected quality
+        this.selectedQuality = button.dataset.quality;
+        this.selectedFormatId = button.dataset.formatId;
+
+        // Update download section
+        this.updateDownloadSection();
+        this.showDownloadSection();
+
+        if (uiState.state === 'preview') {
+            this.updateLink();
+        }
+    }
+
+    /**
+     * Select the quality button for a quality label, e.g. '1080p'
+     * Keeps the current selection if the video doesn't have that quality.
+     * @param {string} quality - Quality label
+     */
+    selectQuality(quality) {
+        const button = Array.from(this.elements.qualityButtons.querySelectorAll('.quality-btn'))
+            .find(option => option.dataset.quality === quality);
+        if (button) {
+            this.handleQualitySelection(button);
+        }
+    }
+
+    /**
+     * Get every quality button and format table row
+     * @returns {Array<HTMLElement>} Selectable format options
+     */
+    getFormatOptions() {
+        return [
+            ...this.elements.qualityButtons.querySelectorAll('.quality-btn'),
+            ...this.elements.formatTableBody.querySelectorAll('.format-row')
+        ];
+    }
+
+    /**
+     * Update download section with selected quality info
+     */
+    updateDownloadSection() {
+        // Prefer the table row, whose label names the codec as well
+        const selected = this.getFormatOptions().filter(option => option.classList.contains('selected'));
+        const selectedButton = selected.find(option => option.dataset.label) || selected[0];
+        if (selectedButton && this.downloadMode === 'audio') {
+            const label = selectedButton.dataset.label;
+            this.elements.selectedQualitySpan.textContent = i18n.t('quality.selectedAudio', {
+                label,
+                format: this.elements.audioFormat.selectedOptions[0].textContent
+            });
+            this.elements.fileSizeSpan.textContent = i18n.t('quality.size', { size: selectedButton.dataset.filesize });
+        } else if (selectedButton) {
+            this.elements.selectedQualitySpan.textContent = i18n.t('quality.selected', { quality: selectedButton.dataset.label || selectedButton.dataset.quality });
+            this.elements.fileSizeSpan.textContent = i18n.t('quality.size', { size: selectedButton.dataset.filesize });
+        }
+    }
+
+    /**
+     * Handle download button click
+     */
+    async handleDownloadClick() {
+        if (!this.currentVideoInfo || !this.selectedQuality) {
+            this.showError(i18n.t('quality.selectFirst'));
+            return;
+        }
+
+        if (!this.ensureBackendAvailable()) return;
+
+        await this.downloadVideo();
+    }
+
+    /**
+     * Download video with selected quality
+     */
+    async downloadVideo() {
+        if (!this.validateClip()) {
+            animationManager.shake(this.elements.clipControls);
+            return;
+        }
+
+        const request = {
+            url: this.elements.videoUrl.value.trim(),
+            quality: this.selectedQuality,
+            formatId: this.selectedFormatId,
+            audioFormat: this.getAudioFormat(),
+            clip: this.getClip(),
+            captions: this.getEmbeddedCaptions()
+        };
+
+        this.lastAction = () => {
+            this.showPreview();
+            this.showDownloadSection();
+            this.downloadVideo();
+        };
+
+        await this.trackDownload(request, (callbacks) => videoAPI.downloadVideo(
+            request.url,
+            request.quality,
+            request.formatId,
+            {
+                ...callbacks,
+                audioFormat: request.audioFormat,
+                clip: request.clip,
+                captions: request.captions
+            }
+        ));
+    }
+
+    /**
+     * Run a download while showing job phases and remembering the job for reloads
+     * @param {Object} request - Download request ({ url, quality, formatId, audioFormat, clip, captions })
+     * @param {Function} task - Called with { onJobCreated, onJobUpdate, onRetry, signal }, returns the download promise
+     */
+    async trackDownload(request, task) {
+        if (!uiState.transition('downloading')) return;
+
+        const controller = this.beginRequest();
+
+        try {
+            // Add loading state to download button
+            animationManager.addLoadingState(this.elements.downloadBtn);
+            this.elements.cancelDownloadBtn.classList.remove('hidden');
+            this.announce(i18n.t('a11y.downloadStarted'));
+
+            const response = await task({
+                onJobCreated: (jobId) => this.saveActiveJob({ ...request, jobId }),
+                onJobUpdate: (job) => this.handleJobUpdate(job, request),
+                onRetry: (retry) => this.startRetryCountdown(this.elements.downloadStatus, retry),
+                signal: controller.signal
+            });
+            if (!this.isCurrentRequest(controller)) return;
+
+            if (response.success) {
+                this.showSuccess(response);
+                this.recordHistory({
+                    ...request,
+                    filename: response.filename,
+                    videoInfo: this.currentVideoInfo || {}
+                });
+            } else {
+                this.showError(response.message || i18n.t('status.failed'));
+            }
+
+        } catch (error) {
+            if (!this.isCurrentRequest(controller)) {
+                // Cancelled by the user: stop a resumed job on the server as well (downloadVideo stops the ones it starts)
+                if (request.jobId) {
+                    videoAPI.cancelJob(request.jobId).catch(() => {});
+                }
+
+                // Cancel leaves the preview on screen; a new preview or a reset has already moved on
+                if (uiState.state === 'downloading') {
+                    uiState.transition('preview');
+                }
+                return;
+            }
+
+            this.showError(videoAPI.toAPIError(error));
+        } finally {
+            // Remove loading state
+            animationManager.removeLoadingState(this.elements.downloadBtn);
+            this.elements.cancelDownloadBtn.classList.add('hidden');
+            this.elements.jobPhases.classList.add('hidden');
+            this.finishRequest(controller);
+            this.clearActiveJob();
+        }
+    }
+
+    /**
+     * Start a new cancellable request, cancelling the one in flight
+     * @returns {AbortController} Controller for the new request
+     */
+    beginRequest() {
+        this.cancelRequest();
+        this.requestController = new AbortController();
+        return this.requestController;
+    }
+
+    /**
+     * Check whether a request is still the one the user is waiting for
+     * @param {AbortController} controller - Controller returned by beginRequest
+     * @returns {boolean} True if the request was neither cancelled nor superseded
+     */
+    isCurrentRequest(controller) {
+        return this.requestController === controller && !controller.signal.aborted;
+    }
+
+    /**
+     * Mark a request as finished
+     * @param {AbortController} controller - Controller returned by beginRequest
+     */
+    finishRequest(controller) {
+        if (this.requestController === controller) {
+            this.requestController = null;
+            this.stopRetryCountdown();
+        }
+    }
+
+    /**
+     * Cancel the request in flight, if any
+     */
+    cancelRequest() {
+        if (this.requestController) {
+            this.requestController.abort();
+            this.requestController = null;
+            this.stopRetryCountdown();
+        }
+    }
+
+    /**
+     * Handle cancel button click
+     */
+    handleCancelClick() {
+        const wasLoading = !this.elements.loadingSection.classList.contains('hidden');
+        this.cancelRequest();
+
+        // A cancelled preview has nothing to show; downloads stay on their section
+        if (wasLoading) {
+            this.showUrlSection();
+        }
+    }
+
+    /**
+     * Show a live "retrying in Ns" countdown while a request waits to be retried
+     * @param {HTMLElement} element - Element to show the countdown in
+     * @param {Object} retry - Retry info ({ attempt, retries, delay })
+     */
+    startRetryCountdown(element, { attempt, retries, delay }) {
+        this.stopRetryCountdown();
+
+        const endTime = Date.now() + delay;
+        const countdown = {
+            element,
+            originalText: element.textContent,
+            wasHidden: element.classList.contains('hidden'),
+            timer: null
+        };
+
+        const tick = () => {
+            const remaining = Math.ceil((endTime - Date.now()) / 1000);
+            if (remaining > 0) {
+                element.textContent = i18n.t('retry.countdown', { seconds: remaining, attempt, retries });
+            } else {
+                element.textContent = i18n.t('retry.now', { attempt, retries });
+                clearInterval(countdown.timer);
+            }
+        };
+
+        element.classList.remove('hidden');
+        tick();
+        countdown.timer = setInterval(tick, 250);
+        this.retryCountdown = countdown;
+    }
+
+    /**
+     * Stop the retry countdown and restore the element it was shown in
+     */
+    stopRetryCountdown() {
+        if (!this.retryCountdown) return;
+
+        const { element, originalText, wasHidden, timer } = this.retryCountdown;
+        clearInterval(timer);
+        element.textContent = originalText;
+        element.classList.toggle('hidden', wasHidden);
+        this.retryCountdown = null;
+    }
+
+    /**
+     * Handle a status update for a running download job
+     * @param {Object} job - Job status from the API
+     * @param {Object} request - Download request the job belongs to
+     */
+    handleJobUpdate(job, request) {
+        this.saveActiveJob({ ...request, jobId: job.job_id });
+        this.updateJobPhases(job);
+    }
+
+    /**
+     * Highlight the current job phase
+     * @param {Object} job - Job status from the API
+     */
+    updateJobPhases(job) {
+        const phases = Array.from(this.elements.jobPhases.querySelectorAll('.job-phase'));
+        const currentIndex = phases.findIndex(phase => phase.dataset.phase === job.status);
+
+        const previous = phases.find(phase => phase.classList.contains('active'));
+
+        this.elements.jobPhases.classList.remove('hidden');
+        phases.forEach((phase, index) => {
+            phase.classList.toggle('complete', currentIndex !== -1 && index < currentIndex);
+            phase.classList.toggle('active', index === currentIndex);
+            if (index === currentIndex) {
+                phase.setAttribute('aria-current', 'step');
+            } else {
+                phase.removeAttribute('aria-current');
+            }
+            delete phase.dataset.progress;
+        });
+
+        // Show percentage on the active phase when the backend reports it
+        const active = phases[currentIndex];
+        if (active && active !== previous) {
+            this.announce(active.textContent);
+        }
+        if (active && typeof job.progress === 'number') {
+            active.dataset.progress = `${Math.round(job.progress)}%`;
+        }
+    }
+
+    /**
+     * Remember the running download job
+     * @param {Object} job - Job details ({ jobId, url, quality, formatId, audioFormat, clip, captions })
+     */
+    saveActiveJob(job) {
+        try {
+            localStorage.setItem(this.activeJobKey, JSON.stringify(job));
+        } catch (error) {
+            // Storage unavailable (private mode); the job just won't survive a reload
+        }
+    }
+
+    /**
+     * Load the download job that was running before a reload
+     * @returns {Object|null} Job details or null if none
+     */
+    loadActiveJob() {
+        try {
+            return JSON.parse(localStorage.getItem(this.activeJobKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Forget the running download job
+     */
+    clearActiveJob() {
+        try {
+            localStorage.removeItem(this.activeJobKey);
+        } catch (error) {
+            // Storage unavailable
+        }
+    }
+
+    /**
+     * Resume following a download job that was running before a reload
+     */
+    async resumeActiveJob() {
+        const job = this.loadActiveJob();
+        if (!job || !job.jobId || !job.url) return;
+
+        // Restore the preview so the user sees which video is being prepared
+        this.elements.videoUrl.value = job.url;
+        await this.getVideoPreview(job.url);
+
+        // The error screen explains why the preview failed; there is nothing to follow the job on
+        if (!this.currentVideoInfo) {
+            this.clearActiveJob();
+            return;
+        }
+
+        if (job.audioFormat) {
+            this.elements.audioFormat.value = job.audioFormat;
+            this.setDownloadMode('audio');
+        }
+
+        if (job.clip) {
+            this.elements.clipEnabled.checked = true;
+            this.elements.clipControls.classList.remove('hidden');
+            this.setClip(job.clip);
+        }
+
+        if (job.captions) {
+            job.captions.forEach(track => this.selectedCaptions.set(this.getCaptionKey(track), track));
+            this.elements.captionEmbed.checked = true;
+            this.renderCaptions();
+        }
+
+        const button = Array.from(this.elements.qualityButtons.querySelectorAll('.quality-btn'))
+            .find(btn => btn.dataset.formatId === String(job.formatId) || btn.dataset.quality === job.quality);
+        if (button) {
+            this.handleQualitySelection(button);
+        }
+
+        await this.trackDownload(job, ({ onJobUpdate, signal }) => videoAPI.watchJob(job.jobId, {
+            onUpdate: onJobUpdate,
+            signal
+        }));
+    }
+
+    /**
+     * Handle final download link click
+     * Streams the file so progress can be shown; falls back to the plain link when streaming is unavailable.
+     * @param {Event} e - Click event
+     */
+    async handleDownloadLinkClick(e) {
+        const filename = this.elements.downloadLink.download;
+        if (!filename || !window.fetch || !window.ReadableStream) {
+            return;
+        }
+
+        e.preventDefault();
+        if (this.isTransferring) return;
+
+        await this.transferFile(filename);
+    }
+
+    /**
+     * Stream a finished file from the backend and save it
+     * @param {string} filename - Filename returned by the backend
+     */
+    async transferFile(filename) {
+        const controller = this.beginRequest();
+        this.isTransferring = true;
+        this.elements.downloadLink.classList.add('disabled');
+        this.elements.cancelTransferBtn.classList.remove('hidden');
+        this.resetTransferProgress();
+        this.elements.transferProgress.classList.remove('hidden');
+        animationManager.slideUp(this.elements.transferProgress);
+
+        try {
+            const blob = await videoAPI.fetchFile(filename, {
+                onProgress: (progress) => this.updateTransferProgress(progress),
+                signal: controller.signal
+            });
+            if (!this.isCurrentRequest(controller)) return;
+
+            this.saveBlob(blob, filename);
+            this.elements.transferStatus.textContent = i18n.t('common.saved', { filename });
+            animationManager.animateProgress(this.elements.transferBar, 100, 200);
+        } catch (error) {
+            this.elements.transferStatus.textContent = videoAPI.toAPIError(error).type === 'cancelled'
+                ? i18n.t('transfer.cancelled')
+                : `${videoAPI.handleError(error)} ${i18n.t('transfer.tryAgain')}`;
+            this.elements.transferStatus.classList.add('failed');
+        } finally {
+            this.isTransferring = false;
+            this.elements.downloadLink.classList.remove('disabled');
+            this.elements.cancelTransferBtn.classList.add('hidden');
+            this.finishRequest(controller);
+        }
+    }
+
+    /**
+     * Reset the transfer progress display
+     */
+    resetTransferProgress() {
+        this.elements.transferBar.style.width = '0%';
+        this.elements.transferBar.classList.remove('indeterminate');
+        this.elements.transferBytes.textContent = videoAPI.formatBytes(0);
+        this.elements.transferSpeed.textContent = '';
+        this.elements.transferEta.textContent = '';
+        this.elements.transferStatus.textContent = i18n.t('transfer.starting');
+        this.elements.transferStatus.classList.remove('failed');
+    }
+
+    /**
+     * Update the transfer progress display
+     * @param {Object} progress - Progress info from fetchFile
+     */
+    updateTransferProgress({ received, total, speed, eta }) {
+        if (total) {
+            animationManager.animateProgress(this.elements.transferBar, (received / total) * 100, 200);
+            this.elements.transferBytes.textContent =
+                i18n.t('transfer.bytes', { received: videoAPI.formatBytes(received), total: videoAPI.formatBytes(total) });
+        } else {
+            // Unknown size: show an indeterminate bar
+            this.elements.transferBar.classList.add('indeterminate');
+            this.elements.transferBytes.textContent = videoAPI.formatBytes(received);
+        }
+
+        this.elements.transferSpeed.textContent = speed ? i18n.t('transfer.speed', { speed: videoAPI.formatBytes(speed) }) : '';
+        this.elements.transferEta.textContent = eta !== null && eta !== undefined && speed
+            ? i18n.t('transfer.eta', { duration: videoAPI.formatDuration(eta) })
+            : '';
+        this.elements.transferStatus.textContent = i18n.t('status.downloading');
+    }
+
+    /**
+     * Save a Blob to disk under the given filename
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Filename to save as
+     */
+    saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download before releasing the Blob
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    /**
+     * Handle add to queue click for the previewed video
+     */
+    handleAddToQueueClick() {
+        if (!this.currentVideoInfo || !this.selectedQuality) {
+            this.showError(i18n.t('quality.selectFirst'));
+            return;
+        }
+
+        if (!this.validateClip()) {
+            animationManager.shake(this.elements.clipControls);
+            return;
+        }
+
+        downloadQueue.add(
+            this.elements.videoUrl.value,
+            this.selectedQuality,
+            this.selectedFormatId,
+            this.currentVideoInfo.title,
+            {
+                audioFormat: this.getAudioFormat(),
+                clip: this.getClip(),
+                captions: this.getEmbeddedCaptions()
+            }
+        );
+        animationManager.pulse(this.elements.queueSummary);
+    }
+
+    /**
+     * Show the detected provider next to the URL input
+     */
+    updateProviderBadge() {
+        const badge = this.elements.providerBadge;
+        const provider = videoAPI.getProvider(this.elements.videoUrl.value);
+
+        badge.classList.toggle('hidden', !provider);
+        if (provider) {
+            badge.textContent = `${provider.icon} ${provider.name}`;
+            badge.dataset.provider = provider.id;
+        } else {
+            badge.textContent = '';
+            delete badge.dataset.provider;
+        }
+    }
+
+    /**
+     * List the supported sites for messages
+     * @returns {string} Provider names, e.g. "YouTube, Vimeo, Dailymotion, Direct link"
      */
-    init() {
-        this.bindEvents();
-        this.setupExampleButtons();
-        this.addHoverEffects();
-        
-        // Check API health on load
-        this.checkAPIHealth();
+    getSupportedSites() {
+        return i18n.formatList(providerRegistry.list().map(provider => provider.name));
     }
 
     /**
-     * Bind event listeners
+     * Handle add click for URLs pasted into the queue form
+     * Invalid lines are left in the text box so they can be corrected.
      */
-    bindEvents() {
-        // Preview button click
-        this.elements.previewBtn.addEventListener('click', () => {
-            this.handlePreviewClick();
-        });
+    handleQueueAddClick() {
+        const lines = this.elements.queueUrls.value
+            .split(/\s+/)
+            .map(line => line.trim())
+            .filter(Boolean);
 
-        // Enter key in URL input
-        this.elements.videoUrl.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.handlePreviewClick();
+        const invalid = [];
+        lines.forEach(url => {
+            if (videoAPI.validateVideoURL(url)) {
+                downloadQueue.add(url, this.elements.queueQuality.value);
+            } else {
+                invalid.push(url);
             }
         });
 
-        // Download button click
-        this.elements.downloadBtn.addEventListener('click', () => {
-            this.handleDownloadClick();
-        });
+        this.elements.queueUrls.value = invalid.join('\n');
 
-        // Retry button click
-        this.elements.retryBtn.addEventListener('click', () => {
-            this.handleRetryClick();
-        });
+        if (invalid.length > 0) {
+            this.elements.queueSummary.textContent = i18n.t('queue.invalid', { count: invalid.length });
+            animationManager.shake(this.elements.queueUrls);
+        }
+    }
 
-        // URL input focus for better UX
-        this.elements.videoUrl.addEventListener('focus', () => {
-            this.elements.videoUrl.select();
-        });
+    /**
+     * Handle a click on a queue item action button
+     * @param {HTMLElement} button - Action button
+     */
+    handleQueueItemAction(button) {
+        const id = parseInt(button.closest('.queue-item').dataset.id, 10);
 
-        // Quality button clicks (delegated)
-        this.elements.qualityButtons.addEventListener('click', (e) => {
-            if (e.target.classList.contains('quality-btn')) {
-                this.handleQualitySelection(e.target);
+        switch (button.dataset.action) {
+            case 'up':
+                downloadQueue.move(id, -1);
+                break;
+            case 'down':
+                downloadQueue.move(id, 1);
+                break;
+            case 'remove':
+                downloadQueue.remove(id);
+                break;
+        }
+    }
+
+    /**
+     * Handle download queue updates
+     */
+    handleQueueChange() {
+        // Record every finished item once; its row offers a save link
+        downloadQueue.items.forEach(item => {
+            if (item.status === 'done' && !item.recorded) {
+                item.recorded = true;
+                this.recordHistory({
+                    url: item.url,
+                    quality: item.quality,
+                    formatId: item.formatId,
+                    audioFormat: item.audioFormat,
+                    clip: item.clip,
+                    captions: item.captions,
+                    filename: item.filename,
+                    videoInfo: item.videoInfo || { title: item.title }
+                });
             }
         });
+
+        this.renderQueue();
     }
 
     /**
-     * Setup example URL buttons
+     * Fetch a file produced by the backend and save it under its own name
+     * @param {string} filename - Filename returned by the backend
+     * @returns {Promise<void>} Resolves once the file has been handed to the browser
      */
-    setupExampleButtons() {
-        const exampleButtons = document.querySelectorAll('.example-btn');
-        exampleButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const url = button.dataset.url;
-                this.elements.videoUrl.value = url;
-                this.handlePreviewClick();
-            });
-        });
+    async saveDownloadedFile(filename) {
+        const blob = await videoAPI.fetchFile(filename);
+        this.saveBlob(blob, filename);
     }
 
     /**
-     * Add hover effects to interactive elements
+     * Render the download queue panel
      */
-    addHoverEffects() {
-        // Add hover effects to buttons
-        const buttons = document.querySelectorAll('button');
-        buttons.forEach(button => {
-            animationManager.addHoverEffect(button, 'lift');
-        });
+    renderQueue() {
+        const counts = downloadQueue.getCounts();
+        const total = downloadQueue.items.length;
 
-        // Add hover effects to quality buttons
-        const qualityButtons = document.querySelectorAll('.quality-btn');
-        qualityButtons.forEach(button => {
-            animationManager.addHoverEffect(button, 'scale');
+        this.elements.queueSummary.textContent = total === 0
+            ? i18n.t('queue.empty')
+            : [
+                i18n.t('queue.done', { done: counts.done, count: total }),
+                counts.downloading ? i18n.t('queue.downloading', { count: counts.downloading }) : '',
+                counts.failed ? i18n.t('queue.failed', { count: counts.failed }) : '',
+                downloadQueue.paused ? i18n.t('queue.paused') : ''
+            ].filter(Boolean).join(' · ');
+
+        this.elements.queuePauseBtn.textContent = i18n.t(downloadQueue.paused ? 'queue.resume' : 'queue.pause');
+        this.elements.queueRetryBtn.disabled = counts.failed === 0;
+        this.elements.queueClearBtn.disabled = counts.done === 0;
+
+        this.elements.queueList.innerHTML = '';
+        downloadQueue.items.forEach((item, index) => {
+            this.elements.queueList.appendChild(this.createQueueItem(item, index, total));
         });
     }
 
     /**
-     * Check API health status
+     * Create the row for a queued item
+     * @param {Object} item - Queued item
+     * @param {number} index - Position in the queue
+     * @param {number} total - Number of items in the queue
+     * @returns {HTMLElement} Queue item row
      */
-    async checkAPIHealth() {
-        try {
-            await videoAPI.checkHealth();
-            console.log('API is healthy');
-        } catch (error) {
-            console.warn('API health check failed:', error.message);
+    createQueueItem(item, index, total) {
+        const row = document.createElement('li');
+        row.className = `queue-item ${item.status}`;
+        row.dataset.id = item.id;
+
+        const details = document.createElement('div');
+        details.className = 'queue-item-details';
+
+        const title = document.createElement('span');
+        title.className = 'queue-item-title';
+        title.textContent = item.title || item.url;
+        title.title = item.url;
+
+        const status = document.createElement('span');
+        status.className = 'queue-item-status';
+        status.textContent = {
+            queued: i18n.t('job.queued'),
+            downloading: i18n.t('status.downloading'),
+            done: i18n.t('status.done'),
+            failed: item.error || i18n.t('status.failed')
+        }[item.status];
+
+        details.append(title, status);
+
+        // Quality can be changed until the download starts
+        const quality = this.elements.queueQuality.cloneNode(true);
+        quality.removeAttribute('id');
+        quality.className = 'queue-quality queue-item-quality';
+        quality.setAttribute('aria-label', i18n.t('formats.quality'));
+        if (!Array.from(quality.options).some(option => option.value === item.quality)) {
+            quality.prepend(new Option(item.quality, item.quality));
+        }
+        quality.value = item.quality;
+        quality.disabled = item.status === 'downloading' || item.status === 'done';
+
+        const actions = document.createElement('div');
+        actions.className = 'queue-item-actions';
+
+        if (item.status === 'done') {
+            const link = document.createElement('a');
+            link.className = 'playlist-entry-link';
+            link.href = videoAPI.getDownloadURL(item.filename);
+            link.download = item.filename;
+            link.textContent = i18n.t('common.save');
+            actions.appendChild(link);
         }
+
+        actions.append(
+            this.createQueueActionButton('up', '↑', i18n.t('queue.moveUp'), index === 0),
+            this.createQueueActionButton('down', '↓', i18n.t('queue.moveDown'), index === total - 1),
+            this.createQueueActionButton('remove', '✕', i18n.t('common.remove'), item.status === 'downloading')
+        );
+
+        row.append(details, quality, actions);
+        return row;
     }
 
     /**
-     * Handle preview button click
+     * Create a small action button for a queue item
+     * @param {string} action - Action name
+     * @param {string} icon - Button icon
+     * @param {string} label - Accessible label
+     * @param {boolean} disabled - Whether the action is unavailable
+     * @returns {HTMLElement} Action button
      */
-    async handlePreviewClick() {
-        const url = this.elements.videoUrl.value.trim();
-        
-        if (!url) {
-            this.showError('Please enter a YouTube video URL');
-            return;
-        }
-
-        if (!videoAPI.validateYouTubeURL(url)) {
-            this.showError('Please enter a valid YouTube video URL');
-            return;
-        }
+    createQueueActionButton(action, icon, label, disabled) {
+        const button = document.createElement('button');
+        button.className = 'queue-action-btn';
+        button.dataset.action = action;
+        button.textContent = icon;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.disabled = disabled;
+        return button;
+    }
 
-        await this.getVideoPreview(url);
+    /**
+     * Remember a finished download in the history
+     * @param {Object} entry - Download details passed to downloadHistory.record
+     */
+    recordHistory(entry) {
+        downloadHistory.record(entry).catch(() => {
+            // Storage unavailable: the download still succeeded, it just isn't remembered
+        });
     }
 
     /**
-     * Get video preview information
-     * @param {string} url - YouTube video URL
+     * Render the download history panel
      */
-    async getVideoPreview(url) {
+    async renderHistory() {
+        let entries;
+        let allEntries;
         try {
-            this.showLoading();
-            
-            const videoInfo = await videoAPI.getVideoPreview(url);
-            this.currentVideoInfo = videoInfo;
-            
-            this.displayVideoPreview(videoInfo);
-            this.showPreview();
-            
+            allEntries = await downloadHistory.list();
+            entries = await downloadHistory.list({
+                query: this.elements.historySearch.value,
+                quality: this.elements.historyQuality.value
+            });
         } catch (error) {
-            const errorMessage = videoAPI.handleError(error);
-            this.showError(errorMessage);
+            this.elements.historySummary.textContent = i18n.t('history.unavailable');
+            return;
         }
+
+        this.updateHistoryQualityFilter(allEntries);
+
+        this.elements.historySummary.textContent = allEntries.length === 0
+            ? i18n.t('history.empty')
+            : i18n.t('history.summary', { shown: entries.length, count: allEntries.length });
+        this.elements.historyExportBtn.disabled = allEntries.length === 0;
+        this.elements.historyClearBtn.disabled = allEntries.length === 0;
+
+        this.elements.historyList.innerHTML = '';
+        entries.forEach(entry => {
+            this.elements.historyList.appendChild(this.createHistoryItem(entry));
+        });
     }
 
     /**
-     * Display video preview information
-     * @param {Object} videoInfo - Video information from API
+     * Fill the quality filter with the qualities found in the history
+     * @param {Array} entries - All history entries
      */
-    displayVideoPreview(videoInfo) {
-        // Update video details
-        this.elements.videoThumbnail.src = videoInfo.thumbnail;
-        this.elements.videoThumbnail.alt = videoInfo.title;
-        this.elements.videoTitle.textContent = videoInfo.title;
-        this.elements.videoUploader.textContent = `By ${videoInfo.uploader}`;
-        this.elements.videoDuration.textContent = videoInfo.duration_formatted;
-        this.elements.videoViews.textContent = `${videoAPI.formatNumber(videoInfo.view_count)} views`;
-        this.elements.videoLikes.textContent = `${videoAPI.formatNumber(videoInfo.like_count)} likes`;
+    updateHistoryQualityFilter(entries) {
+        const select = this.elements.historyQuality;
+        const current = select.value;
+        const qualities = [...new Set(entries.map(entry => entry.quality))].sort();
 
-        // Generate quality buttons
-        this.generateQualityButtons(videoInfo.formats);
+        select.innerHTML = '';
+        select.appendChild(new Option(i18n.t('history.allQualities'), ''));
+        qualities.forEach(quality => {
+            select.appendChild(new Option(quality, quality));
+        });
+        select.value = qualities.includes(current) ? current : '';
     }
 
     /**
-     * Generate quality selection buttons
-     * @param {Array} formats - Available video formats
+     * Create the row for a history entry
+     * @param {Object} entry - History entry
+     * @returns {HTMLElement} History row
      */
-    generateQualityButtons(formats) {
-        this.elements.qualityButtons.innerHTML = '';
+    createHistoryItem(entry) {
+        const row = document.createElement('li');
+        row.className = 'history-item';
+        row.dataset.id = entry.id;
 
-        formats.forEach((format, index) => {
-            const button = document.createElement('button');
-            button.className = 'quality-btn';
-            button.dataset.quality = format.quality;
-            button.dataset.formatId = format.format_id;
-            button.dataset.filesize = format.filesize_formatted;
-            
-            button.innerHTML = `
-                <span class="quality-label">${format.quality}</span>
-                <span class="quality-details">${format.filesize_formatted}</span>
-            `;
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'playlist-entry-thumbnail';
+        thumbnail.src = entry.thumbnail || '';
+        thumbnail.alt = '';
+        thumbnail.loading = 'lazy';
 
-            // Add animation delay for staggered appearance
-            button.style.animationDelay = `${index * 50}ms`;
-            button.classList.add('fade-in');
+        const details = document.createElement('div');
+        details.className = 'history-item-details';
 
-            this.elements.qualityButtons.appendChild(button);
-        });
+        const title = document.createElement('span');
+        title.className = 'history-item-title';
+        title.textContent = entry.title;
+        title.title = entry.url;
 
-        // Auto-select highest quality
-        const firstButton = this.elements.qualityButtons.querySelector('.quality-btn');
-        if (firstButton) {
-            this.handleQualitySelection(firstButton);
-        }
-    }
+        const meta = document.createElement('span');
+        meta.className = 'history-item-meta';
+        meta.textContent = [
+            entry.uploader,
+            entry.audioFormat ? `${entry.quality} ${entry.audioFormat.toUpperCase()}` : entry.quality,
+            entry.clip ? i18n.t('history.clip', { start: videoAPI.formatDuration(entry.clip.start), end: videoAPI.formatDuration(entry.clip.end) }) : '',
+            entry.captions ? i18n.t('history.captions', { languages: i18n.formatList(entry.captions.map(track => track.language)) }) : '',
+            i18n.formatDateTime(entry.timestamp)
+        ].filter(Boolean).join(' · ');
 
-    /**
-     * Handle quality button selection
-     * @param {HTMLElement} button - Selected quality button
-     */
-    handleQualitySelection(button) {
-        // Remove selection from all buttons
-        const allButtons = this.elements.qualityButtons.querySelectorAll('.quality-btn');
-        allButtons.forEach(btn => {
-            btn.classList.remove('selected');
-        });
+        details.append(title, meta);
 
-        // Select clicked button
-        button.classList.add('selected');
-        animationManager.animateQualitySelection(button, true);
+        const actions = document.createElement('div');
+        actions.className = 'queue-item-actions';
 
-        // Update selected quality
-        this.selectedQuality = button.dataset.quality;
-        this.selectedFormatId = button.dataset.formatId;
+        const again = document.createElement('button');
+        again.className = 'queue-control-btn';
+        again.dataset.action = 'again';
+        again.textContent = i18n.t('history.downloadAgain');
 
-        // Update download section
-        this.updateDownloadSection();
-        this.showDownloadSection();
+        actions.append(again, this.createQueueActionButton('remove', '✕', i18n.t('history.remove'), false));
+
+        row.append(thumbnail, details, actions);
+        return row;
     }
 
     /**
-     * Update download section with selected quality info
+     * Handle a click on a history entry action button
+     * @param {HTMLElement} button - Action button
      */
-    updateDownloadSection() {
-        const selectedButton = this.elements.qualityButtons.querySelector('.quality-btn.selected');
-        if (selectedButton) {
-            this.elements.selectedQualitySpan.textContent = `Quality: ${selectedButton.dataset.quality}`;
-            this.elements.fileSizeSpan.textContent = `Size: ${selectedButton.dataset.filesize}`;
+    async handleHistoryItemAction(button) {
+        const id = parseInt(button.closest('.history-item').dataset.id, 10);
+
+        switch (button.dataset.action) {
+            case 'again': {
+                // Re-run the download with the same settings through the queue
+                const entry = await downloadHistory.get(id);
+                if (entry) {
+                    const item = downloadQueue.add(entry.url, entry.quality, entry.formatId, entry.title, {
+                        audioFormat: entry.audioFormat,
+                        clip: entry.clip,
+                        captions: entry.captions
+                    });
+                    item.videoInfo = entry;
+                    animationManager.pulse(this.elements.queueSummary);
+                }
+                break;
+            }
+            case 'remove':
+                await downloadHistory.remove(id);
+                break;
         }
     }
 
     /**
-     * Handle download button click
+     * Export the download history as a JSON file
      */
-    async handleDownloadClick() {
-        if (!this.currentVideoInfo || !this.selectedQuality) {
-            this.showError('Please select a video quality first');
-            return;
-        }
-
-        await this.downloadVideo();
+    async handleHistoryExportClick() {
+        const json = await downloadHistory.exportJSON();
+        const date = new Date().toISOString().slice(0, 10);
+        this.saveBlob(new Blob([json], { type: 'application/json' }), `download-history-${date}.json`);
     }
 
     /**
-     * Download video with selected quality
+     * Import download history from a JSON file
+     * @param {File} file - File chosen by the user
      */
-    async downloadVideo() {
-        try {
-            // Add loading state to download button
-            const originalText = this.elements.downloadBtn.innerHTML;
-            animationManager.addLoadingState(this.elements.downloadBtn, originalText);
-
-            const response = await videoAPI.downloadVideo(
-                this.elements.videoUrl.value,
-                this.selectedQuality,
-                this.selectedFormatId
-            );
-
-            if (response.success) {
-                this.showSuccess(response);
-            } else {
-                this.showError(response.message || 'Download failed');
-            }
+    async handleHistoryImport(file) {
+        if (!file) return;
 
+        try {
+            const imported = await downloadHistory.importJSON(await file.text());
+            this.elements.historySummary.textContent = i18n.t('history.imported', { count: imported });
         } catch (error) {
-            const errorMessage = videoAPI.handleError(error);
-            this.showError(errorMessage);
-        } finally {
-            // Remove loading state
-            animationManager.removeLoadingState(this.elements.downloadBtn);
+            this.elements.historySummary.textContent = error.message;
+            animationManager.shake(this.elements.historySummary);
         }
     }
 
     /**
-     * Handle retry button click
+     * Handle the error screen's action button
      */
     handleRetryClick() {
+        switch (this.errorAction) {
+            case 'retry':
+                if (this.lastAction) {
+                    this.lastAction();
+                    return;
+                }
+                break;
+            case 'edit-url':
+                this.hideError();
+                this.showUrlSection();
+                this.elements.videoUrl.focus();
+                this.elements.videoUrl.select();
+                return;
+            case 'new-video':
+                this.reset();
+                this.elements.videoUrl.focus();
+                return;
+        }
+
         this.hideError();
         this.showUrlSection();
+        this.elements.videoUrl.focus();
+    }
+
+    /**
+     * Read a message out to screen reader users
+     * The live region is cleared first so a repeated message is announced again.
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+        const region = this.elements.liveStatus;
+        region.textContent = '';
+
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            region.textContent = message;
+        }, 100);
     }
 
     /**
      * Show loading section
      */
     showLoading() {
+        if (!uiState.transition('loading')) return;
+
         this.hideAllSections();
         this.elements.loadingSection.classList.remove('hidden');
         animationManager.fadeIn(this.elements.loadingSection);
+        this.announce(this.elements.loadingText.textContent);
     }
 
     /**
      * Show preview section
      */
     showPreview() {
+        if (!uiState.transition('preview')) return;
+
         this.hideAllSections();
         this.elements.previewSection.classList.remove('hidden');
         animationManager.fadeIn(this.elements.previewSection);
     }
 
+    /**
+     * Show playlist section
+     */
+    showPlaylist() {
+        if (!uiState.transition('playlist')) return;
+
+        this.hideAllSections();
+        this.elements.playlistSection.classList.remove('hidden');
+        animationManager.fadeIn(this.elements.playlistSection);
+    }
+
     /**
      * Show download section
      */
@@ -333,14 +2828,23 @@ class VideoDownloadApp {
 
     /**
      * Show error section
-     * @param {string} message - Error message to display
+     * @param {string|APIError} error - Error message, or a typed API error with its suggested action
      */
-    showError(message) {
+    showError(error) {
+        if (!uiState.transition('error')) return;
+
+        const action = error instanceof APIError ? error.action : { name: 'dismiss', label: i18n.t('actions.retry') };
+        this.errorAction = action.name;
+
         this.hideAllSections();
-        this.elements.errorMessage.textContent = message;
+        this.elements.errorMessage.textContent = error instanceof APIError ? error.userMessage : error;
+        this.elements.retryBtn.textContent = action.label;
         this.elements.errorSection.classList.remove('hidden');
         animationManager.fadeIn(this.elements.errorSection);
         animationManager.shake(this.elements.errorSection);
+
+        // Focusing the message reads it out, so it isn't announced separately
+        this.elements.errorMessage.focus();
     }
 
     /**
@@ -348,22 +2852,29 @@ class VideoDownloadApp {
      * @param {Object} response - Download response
      */
     showSuccess(response) {
+        if (!uiState.transition('success')) return;
+
         this.hideAllSections();
         
         // Set download link
         const downloadURL = videoAPI.getDownloadURL(response.filename);
         this.elements.downloadLink.href = downloadURL;
         this.elements.downloadLink.download = response.filename;
+        this.elements.transferProgress.classList.add('hidden');
         
         this.elements.successSection.classList.remove('hidden');
         animationManager.fadeIn(this.elements.successSection);
         animationManager.bounce(this.elements.successSection);
+
+        this.announce(i18n.t('success.title'));
+        this.elements.downloadLink.focus();
     }
 
     /**
      * Show URL input section
      */
     showUrlSection() {
+        uiState.transition('idle');
         this.hideAllSections();
         // URL section is always visible, just ensure others are hidden
     }
@@ -384,26 +2895,176 @@ class VideoDownloadApp {
         this.elements.errorSection.classList.add('hidden');
         this.elements.successSection.classList.add('hidden');
         this.elements.downloadSection.classList.add('hidden');
+        this.elements.playlistSection.classList.add('hidden');
     }
 
     /**
      * Reset the application state
      */
     reset() {
+        this.cancelRequest();
         this.currentVideoInfo = null;
         this.selectedQuality = null;
         this.selectedFormatId = null;
+        this.currentPlaylist = null;
         
         this.elements.videoUrl.value = '';
+        this.updateProviderBadge();
+        uiState.transition('idle');
+        uiState.writeLink(null);
         this.hideAllSections();
     }
 
+    /**
+     * Redraw the text the app generates at runtime in the new language
+     * Static text marked with data-i18n is translated by i18n.setLanguage itself.
+     */
+    handleLanguageChange() {
+        this.elements.languageSelect.value = i18n.language;
+
+        this.renderHealth();
+        this.renderQueue();
+        this.renderHistory();
+        this.renderBackendSettings();
+        this.renderThemeToggle();
+        this.updateProviderBadge();
+        this.setFormatView(this.formatView);
+
+        // Buttons showing a spinner get their label back when the work finishes
+        const downloadLabel = this.elements.downloadBtn.querySelector('.btn-text');
+        if (downloadLabel) {
+            downloadLabel.textContent = i18n.t(this.downloadMode === 'audio' ? 'quality.downloadAudio' : 'quality.downloadVideo');
+        }
+
+        if (this.currentVideoInfo) {
+            this.renderVideoStats(this.currentVideoInfo);
+            this.renderCaptions();
+            this.validateClip();
+            this.updateDownloadSection();
+        }
+
+        if (this.currentPlaylist) {
+            this.renderPlaylistMeta();
+            if (!this.elements.playlistDownloadBtn.dataset.loading) {
+                this.updatePlaylistSelection();
+            }
+        }
+    }
+
+    /**
+     * Show the theme preference on the header toggle
+     */
+    renderThemeToggle() {
+        const icons = { system: '🌓', light: '☀️', dark: '🌙', 'high-contrast': '◐' };
+        const { preference } = themeManager;
+
+        this.elements.themeIcon.textContent = icons[preference];
+        this.elements.themeText.textContent = i18n.t('theme.current', { theme: i18n.t(`theme.${preference}`) });
+    }
+
+    /**
+     * Show the backend in use and where it came from
+     */
+    renderBackendSettings() {
+        const { url, source } = backendConfig.active;
+        const stored = backendConfig.getStoredURL();
+
+        this.elements.backendSummary.textContent = i18n.t('backend.using', {
+            url: url || window.location.origin,
+            source: backendConfig.describeSource()
+        });
+        this.elements.backendUrlInput.value = stored !== null ? stored : url;
+        this.elements.backendResetBtn.disabled = stored === null;
+    }
+
+    /**
+     * Show a message under the backend settings
+     * @param {string} message - Message text
+     * @param {string} type - 'success', 'error' or '' for a neutral message
+     */
+    setBackendStatus(message, type = '') {
+        this.elements.backendStatus.textContent = message;
+        this.elements.backendStatus.className = `settings-status ${type}`.trim();
+    }
+
+    /**
+     * Handle test connection click
+     * Checks the URL in the input, which doesn't have to be saved yet.
+     */
+    async handleBackendTestClick() {
+        const baseURL = backendConfig.normalizeURL(this.elements.backendUrlInput.value);
+        if (baseURL === null) {
+            this.setBackendStatus(i18n.t('backend.invalidURL'), 'error');
+            return;
+        }
+
+        const button = this.elements.backendTestBtn;
+        button.disabled = true;
+        this.setBackendStatus(i18n.t('backend.connecting', { url: baseURL || window.location.origin }));
+
+        try {
+            const health = await videoAPI.checkHealth({ baseURL });
+            this.setBackendStatus(health && health.status
+                ? i18n.t('backend.connectedStatus', { status: health.status })
+                : i18n.t('backend.connected'), 'success');
+        } catch (error) {
+            this.setBackendStatus(i18n.t('backend.failed', { error: videoAPI.handleError(error) }), 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Handle save click for the backend URL
+     * Saving an empty field forgets the saved URL, like the reset button.
+     */
+    handleBackendSaveClick() {
+        if (!this.elements.backendUrlInput.value.trim()) {
+            this.handleBackendResetClick();
+            return;
+        }
+
+        let url;
+        try {
+            url = backendConfig.saveURL(this.elements.backendUrlInput.value);
+        } catch (error) {
+            this.setBackendStatus(error.message, 'error');
+            return;
+        }
+
+        // A ?backend= link keeps priority for this page; the saved URL applies from the next visit
+        if (backendConfig.active.source === 'query') {
+            this.setBackendStatus(i18n.t('backend.savedQueryWins'), 'success');
+        } else {
+            backendConfig.active = { url, source: 'settings' };
+            videoAPI.setBackendURL(url);
+            this.setBackendStatus(i18n.t('backend.saved'), 'success');
+            this.checkAPIHealth();
+        }
+
+        this.renderBackendSettings();
+    }
+
+    /**
+     * Handle reset click: forget the saved URL and fall back to the link parameter or config.json
+     */
+    async handleBackendResetClick() {
+        backendConfig.clearStoredURL();
+
+        videoAPI.ready = backendConfig.resolve().then(({ url }) => videoAPI.setBackendURL(url));
+        await videoAPI.ready;
+
+        this.setBackendStatus(i18n.t('backend.removed'), 'success');
+        this.renderBackendSettings();
+        this.checkAPIHealth();
+    }
+
     /**
      * Handle clipboard paste events
      */
     handlePaste() {
         navigator.clipboard.readText().then(text => {
-            if (videoAPI.validateYouTubeURL(text)) {
+            if (videoAPI.validateVideoURL(text) || videoAPI.validatePlaylistURL(text)) {
                 this.elements.videoUrl.value = text;
                 this.handlePreviewClick();
             }
@@ -456,6 +3117,9 @@ class VideoDownloadApp {
 
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
+    // Translate the page before the app renders anything
+    i18n.setLanguage(i18n.detectLanguage());
+
     const app = new VideoDownloadApp();
     
     // Add additional features
@@ -468,12 +3132,16 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('Video Download App initialized successfully');
 });
 
-// Add service worker for offline support (optional)
+// Add service worker for offline support
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
                 console.log('SW registered: ', registration);
+
+                if (window.videoDownloadApp) {
+                    window.videoDownloadApp.setupServiceWorkerUpdates(registration);
+                }
             })
             .catch(registrationError => {
                 console.log('SW registration failed: ', registrationError);
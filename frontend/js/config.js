@@ -0,0 +1,179 @@
+/**
+ * Backend configuration module.
+ * Chooses the backend URL at runtime so deployments don't need code edits.
+ */
+
+class BackendConfig {
+    constructor() {
+        // Query parameter that overrides the backend for one page load
+        this.queryParam = 'backend';
+
+        // localStorage key for the URL saved from the settings panel
+        this.storageKey = 'videoDownloader.backendURL';
+
+        // Deployment config, fetched relative to the page: { "backendURL": "https://...", "previewCacheTTL": 30 }
+        // (see config.example.json); an empty or missing backendURL keeps the same-origin default
+        this.configPath = 'config.json';
+        this.configTimeout = 5000;
+        this.configRequest = null;
+
+        // Backend in use and where it came from ('query', 'settings', 'config' or 'default')
+        this.active = { url: '', source: 'default' };
+    }
+
+    /**
+     * Resolve the backend URL, in priority order: ?backend=, the settings panel, config.json.
+     * With none of them set, requests go to the page's own origin.
+     * @returns {Promise<{url: string, source: string}>} Backend URL and its source (never rejects)
+     */
+    async resolve() {
+        const queryURL = this.getQueryURL();
+        const storedURL = this.getStoredURL();
+
+        if (queryURL !== null) {
+            this.active = { url: queryURL, source: 'query' };
+        } else if (storedURL !== null) {
+            this.active = { url: storedURL, source: 'settings' };
+        } else {
+            const configURL = await this.fetchConfigURL();
+            this.active = configURL !== null
+                ? { url: configURL, source: 'config' }
+                : { url: '', source: 'default' };
+        }
+
+        return this.active;
+    }
+
+    /**
+     * Read the backend from the page's ?backend= parameter
+     * @returns {string|null} Normalized URL or null if absent or invalid
+     */
+    getQueryURL() {
+        const value = new URLSearchParams(window.location.search).get(this.queryParam);
+        return value ? this.normalizeURL(value) : null;
+    }
+
+    /**
+     * Read the backend saved from the settings panel
+     * @returns {string|null} Normalized URL or null if none is saved
+     */
+    getStoredURL() {
+        try {
+            const value = localStorage.getItem(this.storageKey);
+            return value ? this.normalizeURL(value) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save a backend URL from the settings panel
+     * @param {string} url - Backend URL
+     * @returns {string} Normalized URL that was saved
+     * @throws {Error} If the URL is not a valid http(s) URL
+     */
+    saveURL(url) {
+        const normalized = this.normalizeURL(url);
+        if (!normalized) {
+            throw new Error(i18n.t('backend.invalidURL'));
+        }
+
+        localStorage.setItem(this.storageKey, normalized);
+        return normalized;
+    }
+
+    /**
+     * Forget the backend saved from the settings panel
+     */
+    clearStoredURL() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable: nothing was saved
+        }
+    }
+
+    /**
+     * Fetch the deployment's config.json once per page load
+     * @returns {Promise<Object|null>} Parsed config, or null if the file is missing, invalid or slow
+     */
+    fetchConfig() {
+        if (!this.configRequest) {
+            this.configRequest = (async () => {
+                const controller = new AbortController();
+                const timeoutId = setTimeout(() => controller.abort(), this.configTimeout);
+
+                try {
+                    const response = await fetch(this.configPath, { cache: 'no-store', signal: controller.signal });
+                    if (!response.ok) return null;
+
+                    const config = await response.json();
+                    return config && typeof config === 'object' ? config : null;
+                } catch (error) {
+                    // Unreachable, slow or malformed file: use the defaults
+                    return null;
+                } finally {
+                    clearTimeout(timeoutId);
+                }
+            })();
+        }
+
+        return this.configRequest;
+    }
+
+    /**
+     * Read the backend URL from the deployment's config.json
+     * @returns {Promise<string|null>} Normalized URL, or null if the file is missing, invalid, slow or has no entry
+     */
+    async fetchConfigURL() {
+        const config = await this.fetchConfig();
+        return config && typeof config.backendURL === 'string' && config.backendURL.trim()
+            ? this.normalizeURL(config.backendURL)
+            : null;
+    }
+
+    /**
+     * Read how long previews stay cached from the deployment's config.json
+     * @returns {Promise<number|null>} Lifetime in ms (0 disables the cache), or null to keep the default
+     */
+    async fetchPreviewCacheTTL() {
+        const config = await this.fetchConfig();
+        const minutes = config ? config.previewCacheTTL : undefined;
+        return typeof minutes === 'number' && Number.isFinite(minutes) && minutes >= 0
+            ? minutes * 60 * 1000
+            : null;
+    }
+
+    /**
+     * Normalize a backend URL
+     * An empty string is valid and means the page's own origin.
+     * @param {string} value - URL text
+     * @returns {string|null} URL without trailing slashes, or null if it isn't http(s)
+     */
+    normalizeURL(value) {
+        const text = String(value || '').trim();
+        if (!text) return '';
+
+        try {
+            const url = new URL(text);
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+            return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Describe where the active backend came from
+     * @returns {string} Human-readable source in the UI language
+     */
+    describeSource() {
+        return i18n.t(`backend.source.${this.active.source}`);
+    }
+}
+
+// Create global backend config instance
+const backendConfig = new BackendConfig();
+
+// Export for use in other modules
+window.backendConfig = backendConfig;
@@ -0,0 +1,135 @@
+/**
+ * IndexedDB storage module.
+ * Provides a small promise-based wrapper around the app's database.
+ */
+
+class AppDatabase {
+    constructor() {
+        this.name = 'videoDownloader';
+        this.version = 2;
+        this.db = null;
+        this.opening = null;
+    }
+
+    /**
+     * Create or upgrade object stores
+     * @param {IDBDatabase} db - Database being upgraded
+     */
+    upgrade(db) {
+        if (!db.objectStoreNames.contains('history')) {
+            const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+            history.createIndex('videoId', 'videoId');
+            history.createIndex('timestamp', 'timestamp');
+        }
+
+        if (!db.objectStoreNames.contains('previews')) {
+            db.createObjectStore('previews', { keyPath: 'videoId' });
+        }
+    }
+
+    /**
+     * Open the database (once)
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = () => this.upgrade(request.result);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow another attempt if opening failed
+        this.opening.catch(() => {
+            this.opening = null;
+        });
+
+        return this.opening;
+    }
+
+    /**
+     * Run a single request inside a transaction
+     * @param {string} storeName - Object store name
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} action - Called with the store, returns an IDBRequest
+     * @returns {Promise} Request result
+     */
+    async run(storeName, mode, action) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get all records from a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} Records
+     */
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<Object|undefined>} Record
+     */
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} record - Record to store
+     * @returns {Promise<*>} Record key
+     */
+    put(storeName, record) {
+        return this.run(storeName, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise} Resolves when deleted
+     */
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Delete every record in a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise} Resolves when cleared
+     */
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+}
+
+// Create global database instance
+const appDatabase = new AppDatabase();
+
+// Export for use in other modules
+window.appDatabase = appDatabase;
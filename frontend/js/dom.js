@@ -0,0 +1,73 @@
+/**
+ * DOM rendering helpers.
+ * Builds elements from text nodes so values from the backend or the URL can never add markup.
+ * Use these instead of innerHTML for anything that includes data the page didn't write itself.
+ */
+
+class DOMRenderer {
+    /**
+     * Create an element
+     *
+     * Example:
+     *   create('span', { className: 'quality-label' }, [format.quality])
+     *
+     * @param {string} tag - Tag name
+     * @param {Object} options - Element options (optional)
+     * @param {string} options.className - Class attribute (optional)
+     * @param {Object} options.attributes - Attributes by name; null and undefined values are skipped (optional)
+     * @param {Object} options.dataset - data-* values by camelCase name (optional)
+     * @param {Array<Node|string|number>} children - Child nodes; strings and numbers become text nodes,
+     *     null, undefined and false are skipped (optional)
+     * @returns {HTMLElement} New element
+     */
+    create(tag, { className, attributes = {}, dataset = {} } = {}, children = []) {
+        const element = document.createElement(tag);
+
+        if (className) {
+            element.className = className;
+        }
+
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (value !== null && value !== undefined) {
+                element.setAttribute(name, String(value));
+            }
+        });
+
+        Object.entries(dataset).forEach(([name, value]) => {
+            if (value !== null && value !== undefined) {
+                element.dataset[name] = String(value);
+            }
+        });
+
+        this.append(element, children);
+        return element;
+    }
+
+    /**
+     * Append children to an element
+     * @param {HTMLElement} parent - Element to append to
+     * @param {Array<Node|string|number>} children - Child nodes; strings and numbers become text nodes
+     */
+    append(parent, children) {
+        children.forEach(child => {
+            if (child === null || child === undefined || child === false) return;
+            parent.appendChild(child instanceof Node ? child : document.createTextNode(String(child)));
+        });
+    }
+
+    /**
+     * Replace everything inside an element
+     * @param {HTMLElement} parent - Element to fill
+     * @param {Array<Node|string|number>} children - New child nodes; strings and numbers become text nodes
+     */
+    render(parent, children = []) {
+        parent.replaceChildren();
+        this.append(parent, children);
+    }
+}
+
+// Create global DOM renderer instance
+const domRenderer = new DOMRenderer();
+
+// Export for use in other modules
+window.domRenderer = domRenderer;
@@ -0,0 +1,223 @@
+/**
+ * Error model for API failures.
+ * Classifies failures by HTTP status and machine-readable error code instead of message text.
+ */
+
+class APIError extends Error {
+    /**
+     * @param {string} type - Error type (one of APIError.TYPES)
+     * @param {string} message - Technical message (server detail or description)
+     * @param {Object} details - Extra details
+     * @param {number} details.status - HTTP status (optional)
+     * @param {string} details.code - Error code from the response body (optional)
+     * @param {number} details.retryAfter - Server-requested retry delay in ms (optional)
+     */
+    constructor(type, message, details = {}) {
+        super(message);
+        this.name = 'APIError';
+        this.type = APIError.TYPES[type] ? type : 'unknown';
+        this.status = details.status;
+        this.code = details.code;
+        this.retryAfter = details.retryAfter;
+    }
+
+    /**
+     * Message to show to the user
+     * @returns {string} User-friendly message in the UI language
+     */
+    get userMessage() {
+        return i18n.t(`errors.${this.type}`, { message: this.message });
+    }
+
+    /**
+     * Whether retrying the same request may succeed
+     * @returns {boolean} True if the request can be retried
+     */
+    get retryable() {
+        return APIError.TYPES[this.type].retryable;
+    }
+
+    /**
+     * Suggested next step for the error screen
+     * @returns {{name: string, label: string}} Action name and button label
+     */
+    get action() {
+        const name = APIError.TYPES[this.type].action;
+        return { name, label: i18n.t(`actions.${name}`) };
+    }
+
+    /**
+     * Build an error from a failed HTTP response
+     * @param {number} status - HTTP status
+     * @param {Object} body - Parsed response body (may be empty)
+     * @param {Headers} headers - Response headers (optional)
+     * @returns {APIError} Classified error
+     */
+    static fromResponse(status, body = {}, headers = null) {
+        // FastAPI puts structured errors in `detail`; accept flat bodies too
+        const detail = body && typeof body.detail === 'object' && body.detail !== null ? body.detail : body || {};
+        const code = detail.code || detail.error_code || body.code || body.error_code;
+        const message = (typeof body.detail === 'string' && body.detail) ||
+            detail.message ||
+            `HTTP ${status}`;
+
+        return new APIError(APIError.typeFromCode(code) || APIError.typeFromStatus(status), message, {
+            status,
+            code,
+            retryAfter: headers ? APIError.parseRetryAfter(headers.get('Retry-After')) : undefined
+        });
+    }
+
+    /**
+     * Build an error from a failed download job
+     * @param {Object} job - Job status with status 'failed'
+     * @returns {APIError} Classified error
+     */
+    static fromJob(job) {
+        const code = job.error_code || job.code;
+        return new APIError(APIError.typeFromCode(code) || 'server', job.error || job.message || 'Download failed', {
+            code
+        });
+    }
+
+    /**
+     * Convert any thrown value into an APIError
+     * @param {*} error - Error thrown by fetch, the API client or the app
+     * @returns {APIError} Classified error
+     */
+    static from(error) {
+        if (error instanceof APIError) {
+            return error;
+        }
+
+        if (error && error.name === 'AbortError') {
+            return new APIError('cancelled', 'Request cancelled');
+        }
+
+        // fetch rejects with a TypeError when the network request itself fails
+        if (error && error.name === 'TypeError') {
+            const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+            return new APIError(offline ? 'offline' : 'network', error.message);
+        }
+
+        return new APIError('unknown', (error && error.message) || i18n.t('errors.unknownDetail'));
+    }
+
+    /**
+     * Map a backend error code to an error type
+     * @param {string} code - Error code such as 'AGE_RESTRICTED' or 'geo-blocked'
+     * @returns {string|null} Error type or null if the code is unknown
+     */
+    static typeFromCode(code) {
+        if (!code || typeof code !== 'string') return null;
+
+        const normalized = code.toLowerCase().replace(/_/g, '-');
+        if (APIError.TYPES[normalized]) {
+            return normalized;
+        }
+
+        return APIError.CODE_ALIASES[normalized] || null;
+    }
+
+    /**
+     * Map an HTTP status to an error type
+     * @param {number} status - HTTP status
+     * @returns {string} Error type
+     */
+    static typeFromStatus(status) {
+        if (status === 400 || status === 422) return 'invalid-url';
+        if (status === 404 || status === 410) return 'unavailable';
+        if (status === 408 || status === 504) return 'timeout';
+        if (status === 429) return 'rate-limited';
+        if (status === 451) return 'geo-blocked';
+        if (status >= 500) return 'server';
+        return 'unknown';
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|undefined} Delay in ms, or undefined if absent or invalid
+     */
+    static parseRetryAfter(value) {
+        if (!value) return undefined;
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+    }
+}
+
+// Error types with their retry behaviour and suggested action ('retry', 'edit-url', 'new-video' or 'dismiss').
+// User messages and action labels live in the message catalogs under errors.<type> and actions.<action>.
+APIError.TYPES = {
+    network: {
+        retryable: true,
+        action: 'retry'
+    },
+    offline: {
+        retryable: false,
+        action: 'retry'
+    },
+    timeout: {
+        retryable: true,
+        action: 'retry'
+    },
+    'rate-limited': {
+        retryable: true,
+        action: 'retry'
+    },
+    unavailable: {
+        retryable: false,
+        action: 'new-video'
+    },
+    'age-restricted': {
+        retryable: false,
+        action: 'new-video'
+    },
+    'geo-blocked': {
+        retryable: false,
+        action: 'new-video'
+    },
+    'invalid-url': {
+        retryable: false,
+        action: 'edit-url'
+    },
+    server: {
+        retryable: true,
+        action: 'retry'
+    },
+    cancelled: {
+        retryable: false,
+        action: 'dismiss'
+    },
+    unknown: {
+        retryable: false,
+        action: 'retry'
+    }
+};
+
+// Backend error codes that map onto an existing type
+APIError.CODE_ALIASES = {
+    'video-unavailable': 'unavailable',
+    'private-video': 'unavailable',
+    'video-removed': 'unavailable',
+    copyright: 'unavailable',
+    'members-only': 'unavailable',
+    'age-restriction': 'age-restricted',
+    'login-required': 'age-restricted',
+    'geo-restricted': 'geo-blocked',
+    'region-blocked': 'geo-blocked',
+    'invalid-request': 'invalid-url',
+    'unsupported-url': 'invalid-url',
+    'too-many-requests': 'rate-limited',
+    'internal-error': 'server',
+    'extractor-error': 'server'
+};
+
+// Export for use in other modules
+window.APIError = APIError;
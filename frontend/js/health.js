@@ -0,0 +1,200 @@
+/**
+ * Backend health module.
+ * Polls the /health endpoint, backing off while the backend is down, and tracks what the server supports.
+ */
+
+class HealthMonitor {
+    constructor() {
+        // Poll interval while the backend answers, and the backoff bounds while it doesn't (ms)
+        this.interval = 30000;
+        this.retryBaseDelay = 5000;
+        this.retryMaxDelay = 120000;
+
+        // Responses slower than this count as degraded (ms)
+        this.slowThreshold = 2000;
+
+        // Current state: status is 'checking', 'healthy', 'degraded' or 'offline'
+        this.state = {
+            status: 'checking',
+            latency: null,
+            capabilities: null,
+            error: null,
+            checkedAt: null,
+            nextCheckAt: null
+        };
+
+        this.failures = 0;
+        this.timeoutId = null;
+        this.running = false;
+        this.checking = null;
+
+        // Change listeners (called with the monitor after every check)
+        this.listeners = [];
+    }
+
+    /**
+     * Register a listener for health changes
+     * @param {Function} listener - Called with the monitor whenever the state changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners that the state changed
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Start polling; checks immediately
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        // Check right away when the connection comes back or the tab becomes visible again
+        window.addEventListener('online', () => this.check());
+        window.addEventListener('offline', () => this.check());
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.state.nextCheckAt && Date.now() >= this.state.nextCheckAt) {
+                this.check();
+            }
+        });
+
+        this.check();
+    }
+
+    /**
+     * Check the backend now and schedule the next check
+     * Concurrent calls share one request.
+     * @returns {Promise<Object>} Health state after the check
+     */
+    check() {
+        if (!this.checking) {
+            this.checking = this.runCheck().finally(() => {
+                this.checking = null;
+            });
+        }
+        return this.checking;
+    }
+
+    /**
+     * Run a single health check
+     * @returns {Promise<Object>} Health state after the check
+     */
+    async runCheck() {
+        clearTimeout(this.timeoutId);
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            // No point asking the server; the online event triggers the next check
+            this.failures++;
+            this.update({ status: 'offline', latency: null, error: new APIError('offline', 'Browser is offline') });
+            this.notify();
+            return this.state;
+        }
+
+        const startedAt = performance.now();
+        try {
+            const health = await videoAPI.checkHealth();
+            const latency = Math.round(performance.now() - startedAt);
+            const reported = health && typeof health.status === 'string' ? health.status.toLowerCase() : 'ok';
+
+            this.failures = 0;
+            this.update({
+                status: reported === 'ok' || reported === 'healthy'
+                    ? (latency > this.slowThreshold ? 'degraded' : 'healthy')
+                    : 'degraded',
+                latency,
+                capabilities: this.parseCapabilities(health),
+                error: null
+            });
+        } catch (error) {
+            this.failures++;
+            this.update({ status: 'offline', latency: null, error: APIError.from(error) });
+        }
+
+        this.schedule();
+        this.notify();
+        return this.state;
+    }
+
+    /**
+     * Schedule the next check, backing off exponentially while the backend is offline
+     */
+    schedule() {
+        if (!this.running) return;
+
+        const delay = this.failures === 0
+            ? this.interval
+            : Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** (this.failures - 1));
+
+        this.state.nextCheckAt = Date.now() + delay;
+        this.timeoutId = setTimeout(() => {
+            // Hidden tabs skip polling; visibilitychange catches up
+            if (!document.hidden) this.check();
+        }, delay);
+    }
+
+    /**
+     * Record the result of a check
+     * Capabilities are kept from the last successful check while the backend is offline.
+     * @param {Object} changes - State fields to update
+     */
+    update(changes) {
+        this.state = {
+            ...this.state,
+            ...changes,
+            capabilities: changes.capabilities !== undefined ? changes.capabilities : this.state.capabilities,
+            checkedAt: Date.now(),
+            nextCheckAt: null
+        };
+    }
+
+    /**
+     * Read capability flags from a /health response
+     * Accepts { capabilities: { captions: true } } or { features: ['captions'] }.
+     * @param {Object} health - Health response
+     * @returns {Object|null} Flags by name, or null if the server didn't report any
+     */
+    parseCapabilities(health) {
+        const source = health && (health.capabilities || health.features);
+
+        if (Array.isArray(source)) {
+            return Object.fromEntries(source.map(name => [String(name).toLowerCase(), true]));
+        }
+
+        if (source && typeof source === 'object') {
+            return Object.fromEntries(Object.entries(source).map(([name, value]) => [name.toLowerCase(), Boolean(value)]));
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether the server supports a feature
+     * Servers that don't report capabilities are assumed to support everything;
+     * servers that do only support the features they list.
+     * @param {string} name - Capability name, e.g. 'playlists', 'captions', 'clips' or 'audio'
+     * @returns {boolean} True if the feature can be used
+     */
+    supports(name) {
+        const capabilities = this.state.capabilities;
+        return !capabilities || capabilities[name] === true;
+    }
+
+    /**
+     * Whether the backend is currently unreachable
+     * @returns {boolean} True if the last check failed
+     */
+    isOffline() {
+        return this.state.status === 'offline';
+    }
+}
+
+// Create global health monitor instance
+const healthMonitor = new HealthMonitor();
+
+// Export for use in other modules
+window.healthMonitor = healthMonitor;
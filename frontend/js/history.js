@@ -0,0 +1,192 @@
+/**
+ * Download history module.
+ * Remembers finished downloads in IndexedDB so they can be searched and repeated.
+ */
+
+class DownloadHistory {
+    constructor() {
+        this.storeName = 'history';
+
+        // Change listeners (called after every update)
+        this.listeners = [];
+    }
+
+    /**
+     * Register a listener for history changes
+     * @param {Function} listener - Called whenever the history changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners that the history changed
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Record a finished download
+     * @param {Object} entry - Download details
+     * @param {string} entry.url - Video URL
+     * @param {string} entry.quality - Chosen quality
+     * @param {string} entry.formatId - Chosen format ID (optional)
+     * @param {string} entry.audioFormat - Audio output format for audio-only downloads (optional)
+     * @param {Object} entry.clip - Downloaded range, as { start, end } in seconds (optional)
+     * @param {Array<Object>} entry.captions - Embedded caption tracks, as { language, automatic } (optional)
+     * @param {string} entry.filename - Filename returned by the backend
+     * @param {Object} entry.videoInfo - Video information (title, thumbnail, uploader) (optional)
+     * @returns {Promise<Object>} Stored record
+     */
+    async record({
+        url,
+        quality,
+        formatId = null,
+        audioFormat = null,
+        clip = null,
+        captions = null,
+        filename,
+        videoInfo = {}
+    }) {
+        const record = {
+            videoId: videoAPI.extractVideoID(url),
+            url: url.trim(),
+            title: videoInfo.title || url.trim(),
+            thumbnail: videoInfo.thumbnail || '',
+            uploader: videoInfo.uploader || '',
+            quality: quality,
+            formatId: formatId,
+            audioFormat: audioFormat,
+            clip: clip,
+            captions: captions,
+            filename: filename,
+            timestamp: Date.now()
+        };
+
+        record.id = await appDatabase.put(this.storeName, record);
+        this.notify();
+
+        return record;
+    }
+
+    /**
+     * List history entries, newest first
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.query - Text matched against title, uploader and video ID
+     * @param {string} filters.quality - Only entries downloaded in this quality
+     * @returns {Promise<Array>} Matching entries
+     */
+    async list({ query = '', quality = '' } = {}) {
+        const entries = await appDatabase.getAll(this.storeName);
+        const needle = query.trim().toLowerCase();
+
+        return entries
+            .filter(entry => !quality || entry.quality === quality)
+            .filter(entry => !needle || [entry.title, entry.uploader, entry.videoId]
+                .some(value => value && value.toLowerCase().includes(needle)))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Get a history entry by ID
+     * @param {number} id - Entry ID
+     * @returns {Promise<Object|undefined>} History entry
+     */
+    get(id) {
+        return appDatabase.get(this.storeName, id);
+    }
+
+    /**
+     * Remove a history entry
+     * @param {number} id - Entry ID
+     */
+    async remove(id) {
+        await appDatabase.delete(this.storeName, id);
+        this.notify();
+    }
+
+    /**
+     * Remove every history entry
+     */
+    async clear() {
+        await appDatabase.clear(this.storeName);
+        this.notify();
+    }
+
+    /**
+     * Export the whole history as JSON
+     * @returns {Promise<string>} JSON document
+     */
+    async exportJSON() {
+        const entries = await this.list();
+
+        return JSON.stringify({
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            entries: entries.map(({ id, ...entry }) => entry)
+        }, null, 2);
+    }
+
+    /**
+     * Import history entries from a JSON export
+     * Entries already in the history (same video, format and time) are skipped.
+     * @param {string} json - JSON document created by exportJSON
+     * @returns {Promise<number>} Number of imported entries
+     */
+    async importJSON(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(i18n.t('history.importInvalidJSON'));
+        }
+
+        const entries = Array.isArray(data) ? data : data.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error(i18n.t('history.importWrongFile'));
+        }
+
+        const existing = await appDatabase.getAll(this.storeName);
+        const keyOf = entry => `${entry.url}|${entry.quality}|${entry.timestamp}`;
+        const known = new Set(existing.map(keyOf));
+
+        let imported = 0;
+        for (const entry of entries) {
+            if (!entry || typeof entry.url !== 'string' || known.has(keyOf(entry))) continue;
+
+            // Imported files are untrusted: keep only strings, and audio formats the backend can produce
+            await appDatabase.put(this.storeName, {
+                videoId: entry.videoId ? String(entry.videoId) : videoAPI.extractVideoID(entry.url),
+                url: entry.url,
+                title: String(entry.title || entry.url),
+                thumbnail: String(entry.thumbnail || ''),
+                uploader: String(entry.uploader || ''),
+                quality: String(entry.quality || 'best'),
+                formatId: entry.formatId ? String(entry.formatId) : null,
+                audioFormat: videoAPI.audioFormats.includes(entry.audioFormat) ? entry.audioFormat : null,
+                clip: entry.clip && typeof entry.clip.start === 'number' && typeof entry.clip.end === 'number'
+                    ? { start: entry.clip.start, end: entry.clip.end }
+                    : null,
+                captions: Array.isArray(entry.captions)
+                    ? entry.captions
+                        .filter(track => track && typeof track.language === 'string')
+                        .map(track => ({ language: track.language, automatic: Boolean(track.automatic) }))
+                    : null,
+                filename: entry.filename ? String(entry.filename) : null,
+                timestamp: Number(entry.timestamp) || Date.now()
+            });
+            known.add(keyOf(entry));
+            imported++;
+        }
+
+        this.notify();
+        return imported;
+    }
+}
+
+// Create global download history instance
+const downloadHistory = new DownloadHistory();
+
+// Export for use in other modules
+window.downloadHistory = downloadHistory;
@@ -0,0 +1,249 @@
+/**
+ * Internationalization module.
+ * Holds the message catalogs, picks the language, translates the page and formats numbers by locale.
+ */
+
+class I18n {
+    constructor() {
+        // Catalogs by language code: { name, dir, messages }
+        this.catalogs = {};
+
+        // Language used for keys missing from the active catalog
+        this.fallback = 'en';
+        this.language = this.fallback;
+
+        // localStorage key for the language picked by the user
+        this.storageKey = 'videoDownloader.language';
+
+        // Change listeners (called with the instance after the language changes)
+        this.listeners = [];
+    }
+
+    /**
+     * Register a message catalog
+     * @param {string} language - Language code, e.g. 'es'
+     * @param {Object} catalog - Catalog definition
+     * @param {string} catalog.name - Language name in that language, for the picker
+     * @param {string} catalog.dir - Text direction, 'ltr' or 'rtl' (optional, defaults to 'ltr')
+     * @param {Object} catalog.messages - Messages by key; plural messages are objects keyed by
+     *     Intl.PluralRules category ({ one, other, ... })
+     */
+    register(language, { name, dir = 'ltr', messages }) {
+        this.catalogs[language] = { name, dir, messages };
+    }
+
+    /**
+     * Register a listener for language changes
+     * @param {Function} listener - Called with the instance after the language changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners that the language changed
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * List the available languages
+     * @returns {Array<{code: string, name: string}>} Languages for the picker
+     */
+    getLanguages() {
+        return Object.entries(this.catalogs).map(([code, { name }]) => ({ code, name }));
+    }
+
+    /**
+     * Pick the starting language: the saved choice, then the browser's preferred languages
+     * @returns {string} Language code with a registered catalog
+     */
+    detectLanguage() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable: fall back to the browser languages
+        }
+
+        const preferred = [saved, ...(navigator.languages || [navigator.language])].filter(Boolean);
+        for (const tag of preferred) {
+            const match = this.matchLanguage(tag);
+            if (match) return match;
+        }
+
+        return this.fallback;
+    }
+
+    /**
+     * Find the catalog for a language tag ('es-MX' matches 'es')
+     * @param {string} tag - BCP 47 language tag
+     * @returns {string|null} Registered language code or null
+     */
+    matchLanguage(tag) {
+        const code = String(tag).toLowerCase();
+        if (this.catalogs[code]) return code;
+
+        const base = code.split('-')[0];
+        return this.catalogs[base] ? base : null;
+    }
+
+    /**
+     * Switch the UI language
+     * @param {string} language - Language code
+     * @param {Object} options - Options
+     * @param {boolean} options.save - Remember the choice for the next visit (optional)
+     */
+    setLanguage(language, { save = false } = {}) {
+        this.language = this.matchLanguage(language) || this.fallback;
+
+        if (save) {
+            try {
+                localStorage.setItem(this.storageKey, this.language);
+            } catch (error) {
+                // Storage unavailable: the choice lasts for this page only
+            }
+        }
+
+        document.documentElement.lang = this.language;
+        document.documentElement.dir = this.getDirection();
+        this.translatePage();
+        this.notify();
+    }
+
+    /**
+     * Get the text direction of the active language
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    getDirection() {
+        return this.catalogs[this.language] ? this.catalogs[this.language].dir : 'ltr';
+    }
+
+    /**
+     * Translate a message
+     *
+     * Examples:
+     *   t('queue.empty')                         -> 'The queue is empty'
+     *   t('playlist.videos', { count: 1200 })    -> '1,200 videos'
+     *
+     * @param {string} key - Message key
+     * @param {Object} params - Values for {placeholders}; `count` also selects the plural form (optional)
+     * @returns {string} Translated message, or the key itself if no catalog has it
+     */
+    t(key, params = {}) {
+        const lookup = language => this.catalogs[language] && this.catalogs[language].messages[key];
+        let message = lookup(this.language);
+        let language = this.language;
+
+        if (message === undefined) {
+            message = lookup(this.fallback);
+            language = this.fallback;
+        }
+        if (message === undefined) {
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(language).select(Number(params.count) || 0);
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (params[name] === undefined) return placeholder;
+            return typeof params[name] === 'number' ? this.formatNumber(params[name]) : String(params[name]);
+        });
+    }
+
+    /**
+     * Translate the static text marked up in the page
+     * data-i18n sets the text; data-i18n-placeholder, -title, -aria-label, -alt and -content set attributes.
+     * @param {ParentNode} root - Element to translate (optional, defaults to the whole document)
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        const attributes = {
+            i18nPlaceholder: 'placeholder',
+            i18nTitle: 'title',
+            i18nAriaLabel: 'aria-label',
+            i18nAlt: 'alt',
+            i18nContent: 'content'
+        };
+        Object.entries(attributes).forEach(([property, attribute]) => {
+            const selector = `[data-${property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+            root.querySelectorAll(selector).forEach(element => {
+                element.setAttribute(attribute, this.t(element.dataset[property]));
+            });
+        });
+    }
+
+    /**
+     * Format a number for the active locale
+     * @param {number} value - Number to format
+     * @param {Object} options - Intl.NumberFormat options (optional)
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.language, options).format(value);
+    }
+
+    /**
+     * Format a count in short form, e.g. "1.2K" in English or "1,2 mil" in Spanish
+     * @param {number} value - Count
+     * @returns {string} Formatted count
+     */
+    formatCompact(value) {
+        return this.formatNumber(value || 0, { notation: 'compact', maximumFractionDigits: 1 });
+    }
+
+    /**
+     * Format a byte count with a locale-aware unit, e.g. "15.2 MB"
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size
+     */
+    formatBytes(bytes) {
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+        let value = Math.max(0, bytes || 0);
+        let index = 0;
+
+        while (value >= 1024 && index < units.length - 1) {
+            value /= 1024;
+            index++;
+        }
+
+        return this.formatNumber(value, {
+            style: 'unit',
+            unit: units[index],
+            // "kB" and "MB" read well in short form; plain byte counts read better spelled out
+            unitDisplay: index === 0 ? 'long' : 'short',
+            maximumFractionDigits: index === 0 ? 0 : 1
+        });
+    }
+
+    /**
+     * Format a date and time for the active locale
+     * @param {Date|number} date - Date or timestamp
+     * @returns {string} Formatted date and time
+     */
+    formatDateTime(date) {
+        return new Intl.DateTimeFormat(this.language, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+    }
+
+    /**
+     * Join items into a locale-aware list, e.g. "A, B and C"
+     * @param {Array<string>} items - Items to join
+     * @returns {string} Joined list
+     */
+    formatList(items) {
+        return new Intl.ListFormat(this.language, { type: 'conjunction' }).format(items);
+    }
+}
+
+// Create global i18n instance
+const i18n = new I18n();
+
+// Export for use in other modules
+window.i18n = i18n;
@@ -0,0 +1,315 @@
+/**
+ * Arabic messages.
+ * Written right to left; plural messages use all six Arabic plural categories.
+ */
+
+i18n.register('ar', {
+    name: 'العربية',
+    dir: 'rtl',
+    messages: {
+        // Page
+        'app.title': 'أداة تنزيل الفيديو الاحترافية',
+        'app.description': 'نزّل الفيديوهات من YouTube وVimeo وDailymotion والروابط المباشرة بجودة عالية مع اختيار ديناميكي للجودة',
+        'app.name': 'أداة تنزيل الفيديو',
+        'app.tagline': 'أداة احترافية لتنزيل الفيديو من YouTube وVimeo وDailymotion والروابط المباشرة',
+        'language.label': 'اللغة',
+        'theme.switch': 'تبديل المظهر',
+        'theme.current': 'المظهر: {theme}',
+        'theme.system': 'النظام',
+        'theme.light': 'فاتح',
+        'theme.dark': 'داكن',
+        'theme.high-contrast': 'تباين عالٍ',
+        'banner.offline': 'أنت غير متصل. ستعمل المعاينات والتنزيلات مجددًا بعد إعادة الاتصال.',
+        'banner.update': 'يتوفر إصدار جديد من التطبيق.',
+        'banner.reload': 'إعادة التحميل',
+        'footer.text': 'أداة احترافية لتنزيل الفيديو مع اختيار ديناميكي للجودة. نزّل الفيديوهات بالجودة التي تفضلها.',
+        'footer.privacy': 'سياسة الخصوصية',
+        'footer.terms': 'شروط الخدمة',
+
+        // Shared
+        'common.cancel': 'إلغاء',
+        'common.save': 'حفظ',
+        'common.saved': 'تم حفظ {filename}',
+        'common.remove': 'إزالة',
+        'common.unknown': 'غير معروف',
+        'common.video': 'فيديو',
+        'common.audio': 'صوت',
+        'status.downloading': 'جارٍ التنزيل...',
+        'status.done': 'تم',
+        'status.failed': 'فشل التنزيل',
+        'status.cancelled': 'أُلغي',
+
+        // Backend health
+        'health.checking': 'جارٍ فحص الخادم...',
+        'health.healthy': 'الخادم متصل',
+        'health.degraded': 'أداء الخادم متراجع',
+        'health.offline': 'الخادم غير متصل',
+        'health.checkNow': 'افحص الخادم الآن',
+        'health.notResponding': 'الخادم لا يستجيب.',
+        'health.unavailable': 'المعاينة والتنزيل غير متاحين حتى يعود؛ ستتم إعادة الفحص تلقائيًا.',
+
+        // URL input
+        'url.placeholder': 'الصق رابط فيديو أو قائمة تشغيل هنا...',
+        'url.preview': 'معاينة',
+        'url.examples': 'أمثلة:',
+        'url.exampleVideo': 'فيديو YouTube',
+        'url.exampleShort': 'رابط مختصر',
+        'url.examplePlaylist': 'قائمة تشغيل',
+        'url.empty': 'يرجى إدخال رابط فيديو',
+        'url.invalid': 'يرجى إدخال رابط فيديو صالح. المواقع المدعومة: {sites}.',
+        'providers.direct': 'رابط مباشر',
+        'loading.preview': 'جارٍ معالجة معلومات الفيديو...',
+        'retry.countdown': 'إعادة المحاولة خلال {seconds} ث... (المحاولة {attempt} من {retries})',
+        'retry.now': 'جارٍ إعادة المحاولة... (المحاولة {attempt} من {retries})',
+
+        // Video preview
+        'preview.thumbnailAlt': 'الصورة المصغرة للفيديو',
+        'preview.refresh': 'إعادة تحميل معلومات الفيديو',
+        'preview.untitled': 'فيديو بلا عنوان',
+        'preview.by': 'بواسطة {uploader}',
+        'preview.views': {
+            zero: 'لا مشاهدات',
+            one: 'مشاهدة واحدة',
+            two: 'مشاهدتان',
+            few: '{views} مشاهدات',
+            many: '{views} مشاهدة',
+            other: '{views} مشاهدة'
+        },
+        'preview.likes': {
+            zero: 'لا إعجابات',
+            one: 'إعجاب واحد',
+            two: 'إعجابان',
+            few: '{likes} إعجابات',
+            many: '{likes} إعجابًا',
+            other: '{likes} إعجاب'
+        },
+        'preview.cachedNow': 'محفوظ مؤقتًا الآن',
+        'preview.cachedMinutes': 'محفوظ مؤقتًا منذ {count} د',
+
+        // Metadata export
+        'metadata.formatLabel': 'تنسيق البيانات الوصفية',
+        'metadata.nfo': 'NFO (Kodi/Jellyfin)',
+        'metadata.export': 'تصدير البيانات الوصفية',
+        'metadata.thumbnailFormatLabel': 'تنسيق الصورة المصغرة',
+        'metadata.originalFormat': 'التنسيق الأصلي',
+        'metadata.thumbnail': 'تنزيل الصورة المصغرة',
+        'metadata.fetchingThumbnail': 'جارٍ جلب الصورة المصغرة...',
+        'metadata.thumbnailFailed': 'تعذّر تنزيل الصورة المصغرة',
+        'metadata.imageFormatUnsupported': 'لا يستطيع هذا المتصفح حفظ الصور بتنسيق {format}',
+
+        // Clip
+        'clip.enable': 'تنزيل جزء من الفيديو فقط',
+        'clip.startLabel': 'بداية المقطع',
+        'clip.endLabel': 'نهاية المقطع',
+        'clip.start': 'البداية',
+        'clip.end': 'النهاية',
+        'clip.length': 'طول المقطع {duration}',
+        'clip.errorFormat': 'أدخل وقت البداية والنهاية بصيغة mm:ss',
+        'clip.errorNegative': 'لا يمكن أن يكون وقت البداية سالبًا',
+        'clip.errorOrder': 'يجب أن يكون وقت النهاية بعد وقت البداية',
+        'clip.errorTooLong': 'وقت النهاية يتجاوز نهاية الفيديو ({duration})',
+
+        // Captions
+        'captions.title': 'الترجمات',
+        'captions.embed': 'تضمين المسارات المحددة في الفيديو',
+        'captions.formatLabel': 'تنسيق ملف الترجمة',
+        'captions.download': 'تنزيل المحدد',
+        'captions.showAuto': 'إظهار المُنشأة تلقائيًا ({count})',
+        'captions.onlyAuto': 'لا تتوفر لهذا الفيديو سوى ترجمات مُنشأة تلقائيًا',
+        'captions.auto': 'تلقائي',
+        'captions.autoGenerated': 'مُنشأة تلقائيًا',
+        'captions.preparing': 'جارٍ تجهيز ترجمة {language}...',
+        'captions.noFile': 'لم يُرجَع أي ملف ترجمة',
+        'captions.downloaded': {
+            zero: 'لم يُنزَّل أي ملف ترجمة',
+            one: 'تم تنزيل ملف ترجمة واحد',
+            two: 'تم تنزيل ملفَي ترجمة',
+            few: 'تم تنزيل {count} ملفات ترجمة',
+            many: 'تم تنزيل {count} ملف ترجمة',
+            other: 'تم تنزيل {count} ملف ترجمة'
+        },
+        'captions.downloadedSome': 'تم تنزيل {saved} من {count} من ملفات الترجمة.',
+
+        // Quality and formats
+        'quality.title': 'اختر الجودة',
+        'quality.modeLabel': 'وضع التنزيل',
+        'quality.convertTo': 'تحويل إلى',
+        'quality.bestAvailable': 'أفضل جودة متاحة',
+        'quality.bestAudio': 'أفضل صوت',
+        'quality.upTo1080': 'حتى 1080p',
+        'quality.upTo720': 'حتى 720p',
+        'quality.upTo480': 'حتى 480p',
+        'quality.upTo360': 'حتى 360p',
+        'quality.downloadVideo': 'تنزيل الفيديو',
+        'quality.downloadAudio': 'تنزيل الصوت',
+        'quality.selected': 'الجودة: {quality}',
+        'quality.selectedAudio': 'الصوت: {label} ← {format}',
+        'quality.size': 'الحجم: {size}',
+        'quality.selectFirst': 'يرجى اختيار جودة الفيديو أولًا',
+        'formats.allFormats': 'كل التنسيقات',
+        'formats.simpleView': 'عرض مبسّط',
+        'formats.filterPlaceholder': 'التصفية حسب الجودة أو الحاوية أو الترميز...',
+        'formats.filterLabel': 'تصفية التنسيقات',
+        'formats.hdrOnly': 'HDR فقط',
+        'formats.quality': 'الجودة',
+        'formats.container': 'الحاوية',
+        'formats.bitrate': 'معدل البت',
+        'formats.size': 'الحجم',
+        'formats.none': 'لا توجد معلومات تفصيلية عن تنسيقات هذا الفيديو',
+        'formats.noMatch': 'لا توجد تنسيقات تطابق عامل التصفية',
+
+        // Download job and transfer
+        'job.queued': 'في قائمة الانتظار',
+        'job.downloading': 'جارٍ التنزيل',
+        'job.merging': 'جارٍ الدمج',
+        'job.ready': 'جاهز',
+        'transfer.starting': 'جارٍ بدء التنزيل...',
+        'transfer.bytes': '{received} من {total}',
+        'transfer.speed': '{speed}/ث',
+        'transfer.eta': 'متبقٍ {duration}',
+        'transfer.cancelled': 'أُلغي التنزيل. انقر على «نزّل الآن» للبدء من جديد.',
+        'transfer.tryAgain': 'انقر على «نزّل الآن» للمحاولة مجددًا.',
+
+        // Playlist
+        'playlist.selectAll': 'تحديد الكل',
+        'playlist.quality': 'الجودة لكل الفيديوهات',
+        'playlist.download': 'تنزيل المحدد',
+        'playlist.videos': {
+            zero: 'لا فيديوهات',
+            one: 'فيديو واحد',
+            two: 'فيديوهان',
+            few: '{count} فيديوهات',
+            many: '{count} فيديو',
+            other: '{count} فيديو'
+        },
+        'playlist.selected': 'تم تحديد {selected} من {count}',
+        'playlist.downloading': 'جارٍ تنزيل {current} من {count}...',
+        'playlist.done': 'تم تنزيل {completed} من {count}',
+        'playlist.failed': 'فشل {count}',
+        'playlist.cancelled': 'أُلغي {count}',
+        'playlist.previewFirst': 'يرجى معاينة قائمة تشغيل أولًا',
+        'playlist.selectOne': 'يرجى تحديد فيديو واحد على الأقل من قائمة التشغيل',
+        'playlist.unsupported': 'هذا الخادم لا يدعم قوائم التشغيل. الصق رابط فيديو واحد بدلًا من ذلك.',
+
+        // Screen reader announcements
+        'a11y.previewReady': {
+            zero: '{title} جاهز. لا توجد جودات متاحة.',
+            one: '{title} جاهز. تتوفر جودة واحدة.',
+            two: '{title} جاهز. تتوفر جودتان.',
+            few: '{title} جاهز. تتوفر {count} جودات.',
+            many: '{title} جاهز. تتوفر {count} جودة.',
+            other: '{title} جاهز. تتوفر {count} جودة.'
+        },
+        'a11y.playlistReady': {
+            zero: '{title}: لا فيديوهات جاهزة للتنزيل.',
+            one: '{title}: فيديو واحد جاهز للتنزيل.',
+            two: '{title}: فيديوهان جاهزان للتنزيل.',
+            few: '{title}: {count} فيديوهات جاهزة للتنزيل.',
+            many: '{title}: {count} فيديو جاهزًا للتنزيل.',
+            other: '{title}: {count} فيديو جاهز للتنزيل.'
+        },
+        'a11y.downloadStarted': 'جارٍ تجهيز التنزيل...',
+
+        // Result screens
+        'error.title': 'خطأ',
+        'success.title': 'التنزيل جاهز!',
+        'success.message': 'تمت معالجة الفيديو بنجاح.',
+        'success.downloadNow': 'نزّل الآن',
+
+        // Queue
+        'queue.add': 'إضافة إلى قائمة الانتظار',
+        'queue.title': 'قائمة انتظار التنزيل',
+        'queue.placeholder': 'الصق رابط فيديو واحدًا أو أكثر، رابطًا في كل سطر...',
+        'queue.qualityLabel': 'جودة الفيديوهات المضافة',
+        'queue.parallel': 'التنزيلات المتزامنة',
+        'queue.pause': 'إيقاف مؤقت',
+        'queue.resume': 'استئناف',
+        'queue.retryFailed': 'إعادة محاولة الفاشلة',
+        'queue.clearFinished': 'مسح المكتملة',
+        'queue.empty': 'قائمة الانتظار فارغة',
+        'queue.done': 'اكتمل {done} من {count}',
+        'queue.downloading': '{count} قيد التنزيل',
+        'queue.failed': '{count} فاشلة',
+        'queue.paused': 'متوقفة مؤقتًا',
+        'queue.invalid': {
+            zero: 'لا توجد روابط غير صالحة',
+            one: 'لم تتم إضافة رابط واحد غير صالح',
+            two: 'لم تتم إضافة رابطين غير صالحين',
+            few: 'لم تتم إضافة {count} روابط غير صالحة',
+            many: 'لم تتم إضافة {count} رابطًا غير صالح',
+            other: 'لم تتم إضافة {count} رابط غير صالح'
+        },
+        'queue.moveUp': 'نقل لأعلى',
+        'queue.moveDown': 'نقل لأسفل',
+
+        // History
+        'history.title': 'سجل التنزيلات',
+        'history.searchPlaceholder': 'البحث بالعنوان أو الناشر أو معرّف الفيديو...',
+        'history.searchLabel': 'البحث في سجل التنزيلات',
+        'history.qualityLabel': 'التصفية حسب الجودة',
+        'history.allQualities': 'كل الجودات',
+        'history.export': 'تصدير JSON',
+        'history.import': 'استيراد JSON',
+        'history.clear': 'مسح',
+        'history.confirmClear': 'هل تريد إزالة كل الإدخالات من سجل التنزيلات؟',
+        'history.unavailable': 'السجل غير متاح في هذا المتصفح',
+        'history.empty': 'لا توجد تنزيلات بعد',
+        'history.summary': '{shown} من {count} تنزيل',
+        'history.clip': 'مقطع {start}–{end}',
+        'history.captions': 'الترجمات: {languages}',
+        'history.downloadAgain': 'نزّل مجددًا',
+        'history.remove': 'إزالة من السجل',
+        'history.imported': {
+            zero: 'لم يُستورد أي تنزيل',
+            one: 'تم استيراد تنزيل واحد',
+            two: 'تم استيراد تنزيلين',
+            few: 'تم استيراد {count} تنزيلات',
+            many: 'تم استيراد {count} تنزيلًا',
+            other: 'تم استيراد {count} تنزيل'
+        },
+        'history.importInvalidJSON': 'الملف المحدد ليس JSON صالحًا',
+        'history.importWrongFile': 'الملف المحدد ليس تصديرًا لسجل التنزيلات',
+
+        // Settings
+        'settings.title': 'الإعدادات',
+        'settings.urlLabel': 'رابط الخادم',
+        'settings.test': 'اختبار الاتصال',
+        'settings.save': 'حفظ',
+        'settings.reset': 'إعادة الضبط',
+        'motion.label': 'الحركة',
+        'motion.system': 'حسب إعداد النظام',
+        'motion.reduce': 'مخففة',
+        'motion.full': 'كاملة',
+        'backend.using': 'يُستخدم {url} ({source})',
+        'backend.source.query': 'محدد بمعامل الرابط ?backend=',
+        'backend.source.settings': 'محفوظ في هذا المتصفح',
+        'backend.source.config': 'من config.json',
+        'backend.source.default': 'نفس أصل هذه الصفحة',
+        'backend.invalidURL': 'أدخل رابط الخادم كاملًا، مثل https://api.example.com',
+        'backend.connecting': 'جارٍ الاتصال بـ {url}...',
+        'backend.connected': 'تم الاتصال بنجاح',
+        'backend.connectedStatus': 'تم الاتصال بنجاح (الحالة: {status})',
+        'backend.failed': 'فشل الاتصال: {error}',
+        'backend.saved': 'تم الحفظ. تستخدم الطلبات الجديدة هذا الخادم.',
+        'backend.savedQueryWins': 'تم الحفظ. لا يزال معامل الرابط ?backend= مطبقًا على هذه الصفحة.',
+        'backend.removed': 'تمت إزالة الخادم المحفوظ.',
+
+        // API errors (see APIError.TYPES)
+        'errors.network': 'تعذّر الاتصال بالخادم. يرجى التحقق من اتصالك بالإنترنت.',
+        'errors.offline': 'أنت غير متصل. أعد الاتصال بالإنترنت وحاول مجددًا.',
+        'errors.timeout': 'انتهت مهلة الطلب. يرجى التحقق من اتصالك والمحاولة مجددًا.',
+        'errors.rate-limited': 'طلبات كثيرة جدًا. يرجى الانتظار قليلًا قبل المحاولة مجددًا.',
+        'errors.unavailable': 'هذا الفيديو غير متاح للتنزيل. قد يكون خاصًا أو محذوفًا أو مقيدًا.',
+        'errors.age-restricted': 'هذا الفيديو مقيد بالعمر ولا يمكن تنزيله.',
+        'errors.geo-blocked': 'هذا الفيديو غير متاح في منطقة الخادم.',
+        'errors.invalid-url': 'هذا الرابط غير مدعوم. تحقق من الرابط وحاول مجددًا.',
+        'errors.server': 'خطأ في الخادم. يرجى المحاولة لاحقًا.',
+        'errors.cancelled': 'تم إلغاء الطلب.',
+        'errors.unknown': 'خطأ: {message}',
+        'errors.unknownDetail': 'حدث خطأ غير معروف',
+        'actions.retry': 'حاول مجددًا',
+        'actions.edit-url': 'تعديل الرابط',
+        'actions.new-video': 'جرّب فيديو آخر',
+        'actions.dismiss': 'رجوع'
+    }
+});
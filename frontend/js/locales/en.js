@@ -0,0 +1,258 @@
+/**
+ * English messages.
+ * This is the fallback catalog: every key used by the page and the scripts must exist here.
+ */
+
+i18n.register('en', {
+    name: 'English',
+    messages: {
+        // Page
+        'app.title': 'Professional Video Downloader',
+        'app.description': 'Download videos from YouTube, Vimeo, Dailymotion and direct links in high quality with dynamic quality selection',
+        'app.name': 'Video Downloader',
+        'app.tagline': 'Professional video downloader for YouTube, Vimeo, Dailymotion and direct links',
+        'language.label': 'Language',
+        'theme.switch': 'Switch theme',
+        'theme.current': 'Theme: {theme}',
+        'theme.system': 'System',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.high-contrast': 'High contrast',
+        'banner.offline': 'You\'re offline. Previews and downloads will work again once you reconnect.',
+        'banner.update': 'A new version of the app is available.',
+        'banner.reload': 'Reload',
+        'footer.text': 'Professional video downloader with dynamic quality selection. Download videos in your preferred quality.',
+        'footer.privacy': 'Privacy Policy',
+        'footer.terms': 'Terms of Service',
+
+        // Shared
+        'common.cancel': 'Cancel',
+        'common.save': 'Save',
+        'common.saved': 'Saved {filename}',
+        'common.remove': 'Remove',
+        'common.unknown': 'Unknown',
+        'common.video': 'Video',
+        'common.audio': 'Audio',
+        'status.downloading': 'Downloading...',
+        'status.done': 'Done',
+        'status.failed': 'Download failed',
+        'status.cancelled': 'Cancelled',
+
+        // Backend health
+        'health.checking': 'Checking server...',
+        'health.healthy': 'Server online',
+        'health.degraded': 'Server degraded',
+        'health.offline': 'Server offline',
+        'health.checkNow': 'Check the server now',
+        'health.notResponding': 'The server is not responding.',
+        'health.unavailable': 'Preview and download are unavailable until it\'s back; checking again automatically.',
+
+        // URL input
+        'url.placeholder': 'Paste a video or playlist URL here...',
+        'url.preview': 'Preview',
+        'url.examples': 'Examples:',
+        'url.exampleVideo': 'YouTube Video',
+        'url.exampleShort': 'Short URL',
+        'url.examplePlaylist': 'Playlist',
+        'url.empty': 'Please enter a video URL',
+        'url.invalid': 'Please enter a valid video URL. Supported: {sites}.',
+        'providers.direct': 'Direct link',
+        'loading.preview': 'Processing video information...',
+        'retry.countdown': 'Retrying in {seconds}s... (attempt {attempt} of {retries})',
+        'retry.now': 'Retrying... (attempt {attempt} of {retries})',
+
+        // Video preview
+        'preview.thumbnailAlt': 'Video thumbnail',
+        'preview.refresh': 'Reload video information',
+        'preview.untitled': 'Untitled video',
+        'preview.by': 'By {uploader}',
+        'preview.views': { one: '{views} view', other: '{views} views' },
+        'preview.likes': { one: '{likes} like', other: '{likes} likes' },
+        'preview.cachedNow': 'Cached just now',
+        'preview.cachedMinutes': 'Cached {count} min ago',
+
+        // Metadata export
+        'metadata.formatLabel': 'Metadata format',
+        'metadata.nfo': 'NFO (Kodi/Jellyfin)',
+        'metadata.export': 'Export metadata',
+        'metadata.thumbnailFormatLabel': 'Thumbnail format',
+        'metadata.originalFormat': 'Original format',
+        'metadata.thumbnail': 'Download thumbnail',
+        'metadata.fetchingThumbnail': 'Fetching thumbnail...',
+        'metadata.thumbnailFailed': 'The thumbnail could not be downloaded',
+        'metadata.imageFormatUnsupported': 'This browser can\'t save images as {format}',
+
+        // Clip
+        'clip.enable': 'Download only part of the video',
+        'clip.startLabel': 'Clip start',
+        'clip.endLabel': 'Clip end',
+        'clip.start': 'Start',
+        'clip.end': 'End',
+        'clip.length': 'Clip length {duration}',
+        'clip.errorFormat': 'Enter the start and end time as mm:ss',
+        'clip.errorNegative': 'The start time can\'t be negative',
+        'clip.errorOrder': 'The end time must be after the start time',
+        'clip.errorTooLong': 'The end time is past the end of the video ({duration})',
+
+        // Captions
+        'captions.title': 'Captions',
+        'captions.embed': 'Embed selected tracks in the video',
+        'captions.formatLabel': 'Caption file format',
+        'captions.download': 'Download selected',
+        'captions.showAuto': 'Show auto-generated ({count})',
+        'captions.onlyAuto': 'Only auto-generated captions are available for this video',
+        'captions.auto': 'Auto',
+        'captions.autoGenerated': 'Auto-generated',
+        'captions.preparing': 'Preparing {language} captions...',
+        'captions.noFile': 'No caption file was returned',
+        'captions.downloaded': { one: 'Downloaded {count} caption file', other: 'Downloaded {count} caption files' },
+        'captions.downloadedSome': 'Downloaded {saved} of {count} caption files.',
+
+        // Quality and formats
+        'quality.title': 'Select Quality',
+        'quality.modeLabel': 'Download mode',
+        'quality.convertTo': 'Convert to',
+        'quality.bestAvailable': 'Best available',
+        'quality.bestAudio': 'Best audio',
+        'quality.upTo1080': 'Up to 1080p',
+        'quality.upTo720': 'Up to 720p',
+        'quality.upTo480': 'Up to 480p',
+        'quality.upTo360': 'Up to 360p',
+        'quality.downloadVideo': 'Download Video',
+        'quality.downloadAudio': 'Download Audio',
+        'quality.selected': 'Quality: {quality}',
+        'quality.selectedAudio': 'Audio: {label} → {format}',
+        'quality.size': 'Size: {size}',
+        'quality.selectFirst': 'Please select a video quality first',
+        'formats.allFormats': 'All formats',
+        'formats.simpleView': 'Simple view',
+        'formats.filterPlaceholder': 'Filter by quality, container or codec...',
+        'formats.filterLabel': 'Filter formats',
+        'formats.hdrOnly': 'HDR only',
+        'formats.quality': 'Quality',
+        'formats.container': 'Container',
+        'formats.bitrate': 'Bitrate',
+        'formats.size': 'Size',
+        'formats.none': 'No detailed format information for this video',
+        'formats.noMatch': 'No formats match the filter',
+
+        // Download job and transfer
+        'job.queued': 'Queued',
+        'job.downloading': 'Downloading',
+        'job.merging': 'Merging',
+        'job.ready': 'Ready',
+        'transfer.starting': 'Starting download...',
+        'transfer.bytes': '{received} of {total}',
+        'transfer.speed': '{speed}/s',
+        'transfer.eta': '{duration} left',
+        'transfer.cancelled': 'Download cancelled. Click Download Now to start again.',
+        'transfer.tryAgain': 'Click Download Now to try again.',
+
+        // Playlist
+        'playlist.selectAll': 'Select all',
+        'playlist.quality': 'Quality for all videos',
+        'playlist.download': 'Download Selected',
+        'playlist.videos': { one: '{count} video', other: '{count} videos' },
+        'playlist.selected': '{selected} of {count} selected',
+        'playlist.downloading': 'Downloading {current} of {count}...',
+        'playlist.done': '{completed} of {count} downloaded',
+        'playlist.failed': '{count} failed',
+        'playlist.cancelled': '{count} cancelled',
+        'playlist.previewFirst': 'Please preview a playlist first',
+        'playlist.selectOne': 'Please select at least one video from the playlist',
+        'playlist.unsupported': 'This server does not support playlists. Paste a single video URL instead.',
+
+        // Screen reader announcements
+        'a11y.previewReady': { one: '{title} is ready. {count} quality available.', other: '{title} is ready. {count} qualities available.' },
+        'a11y.playlistReady': { one: '{title}: {count} video ready to download.', other: '{title}: {count} videos ready to download.' },
+        'a11y.downloadStarted': 'Preparing your download...',
+
+        // Result screens
+        'error.title': 'Error',
+        'success.title': 'Download Ready!',
+        'success.message': 'Your video has been processed successfully.',
+        'success.downloadNow': 'Download Now',
+
+        // Queue
+        'queue.add': 'Add to Queue',
+        'queue.title': 'Download Queue',
+        'queue.placeholder': 'Paste one or more video URLs, one per line...',
+        'queue.qualityLabel': 'Quality for added videos',
+        'queue.parallel': 'Parallel downloads',
+        'queue.pause': 'Pause',
+        'queue.resume': 'Resume',
+        'queue.retryFailed': 'Retry Failed',
+        'queue.clearFinished': 'Clear Finished',
+        'queue.empty': 'The queue is empty',
+        'queue.done': '{done} of {count} done',
+        'queue.downloading': '{count} downloading',
+        'queue.failed': '{count} failed',
+        'queue.paused': 'Paused',
+        'queue.invalid': { one: '{count} invalid URL was not added', other: '{count} invalid URLs were not added' },
+        'queue.moveUp': 'Move up',
+        'queue.moveDown': 'Move down',
+
+        // History
+        'history.title': 'Download History',
+        'history.searchPlaceholder': 'Search by title, uploader or video ID...',
+        'history.searchLabel': 'Search download history',
+        'history.qualityLabel': 'Filter by quality',
+        'history.allQualities': 'All qualities',
+        'history.export': 'Export JSON',
+        'history.import': 'Import JSON',
+        'history.clear': 'Clear',
+        'history.confirmClear': 'Remove all entries from the download history?',
+        'history.unavailable': 'History is unavailable in this browser',
+        'history.empty': 'No downloads yet',
+        'history.summary': { one: '{shown} of {count} download', other: '{shown} of {count} downloads' },
+        'history.clip': 'Clip {start}–{end}',
+        'history.captions': 'Captions: {languages}',
+        'history.downloadAgain': 'Download Again',
+        'history.remove': 'Remove from history',
+        'history.imported': { one: 'Imported {count} download', other: 'Imported {count} downloads' },
+        'history.importInvalidJSON': 'The selected file is not valid JSON',
+        'history.importWrongFile': 'The selected file is not a download history export',
+
+        // Settings
+        'settings.title': 'Settings',
+        'settings.urlLabel': 'Backend URL',
+        'settings.test': 'Test Connection',
+        'settings.save': 'Save',
+        'settings.reset': 'Reset',
+        'motion.label': 'Animations',
+        'motion.system': 'Match system setting',
+        'motion.reduce': 'Reduced',
+        'motion.full': 'Full',
+        'backend.using': 'Using {url} ({source})',
+        'backend.source.query': 'set by the ?backend= link parameter',
+        'backend.source.settings': 'saved in this browser',
+        'backend.source.config': 'from config.json',
+        'backend.source.default': 'same origin as this page',
+        'backend.invalidURL': 'Enter a full backend URL, for example https://api.example.com',
+        'backend.connecting': 'Connecting to {url}...',
+        'backend.connected': 'Connected successfully',
+        'backend.connectedStatus': 'Connected successfully (status: {status})',
+        'backend.failed': 'Connection failed: {error}',
+        'backend.saved': 'Saved. New requests use this backend.',
+        'backend.savedQueryWins': 'Saved. The ?backend= link parameter still applies to this page.',
+        'backend.removed': 'Saved backend removed.',
+
+        // API errors (see APIError.TYPES)
+        'errors.network': 'Unable to connect to the server. Please check your internet connection.',
+        'errors.offline': 'You are offline. Reconnect to the internet and try again.',
+        'errors.timeout': 'Request timed out. Please check your connection and try again.',
+        'errors.rate-limited': 'Too many requests. Please wait a moment before trying again.',
+        'errors.unavailable': 'This video is not available for download. It may be private, deleted, or restricted.',
+        'errors.age-restricted': 'This video is age-restricted and cannot be downloaded.',
+        'errors.geo-blocked': 'This video is not available in the server\'s region.',
+        'errors.invalid-url': 'This link isn\'t supported. Check the URL and try again.',
+        'errors.server': 'Server error. Please try again later.',
+        'errors.cancelled': 'The request was cancelled.',
+        'errors.unknown': 'Error: {message}',
+        'errors.unknownDetail': 'An unknown error occurred',
+        'actions.retry': 'Try Again',
+        'actions.edit-url': 'Edit URL',
+        'actions.new-video': 'Try Another Video',
+        'actions.dismiss': 'Back'
+    }
+});
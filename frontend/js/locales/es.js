@@ -0,0 +1,257 @@
+/**
+ * Spanish messages.
+ */
+
+i18n.register('es', {
+    name: 'Español',
+    messages: {
+        // Page
+        'app.title': 'Descargador de vídeos profesional',
+        'app.description': 'Descarga vídeos de YouTube, Vimeo, Dailymotion y enlaces directos en alta calidad con selección dinámica de calidad',
+        'app.name': 'Descargador de vídeos',
+        'app.tagline': 'Descargador de vídeos profesional para YouTube, Vimeo, Dailymotion y enlaces directos',
+        'language.label': 'Idioma',
+        'theme.switch': 'Cambiar tema',
+        'theme.current': 'Tema: {theme}',
+        'theme.system': 'Sistema',
+        'theme.light': 'Claro',
+        'theme.dark': 'Oscuro',
+        'theme.high-contrast': 'Alto contraste',
+        'banner.offline': 'Estás sin conexión. Las vistas previas y descargas volverán a funcionar cuando te reconectes.',
+        'banner.update': 'Hay una nueva versión de la aplicación disponible.',
+        'banner.reload': 'Recargar',
+        'footer.text': 'Descargador de vídeos profesional con selección dinámica de calidad. Descarga vídeos en la calidad que prefieras.',
+        'footer.privacy': 'Política de privacidad',
+        'footer.terms': 'Términos del servicio',
+
+        // Shared
+        'common.cancel': 'Cancelar',
+        'common.save': 'Guardar',
+        'common.saved': 'Guardado {filename}',
+        'common.remove': 'Quitar',
+        'common.unknown': 'Desconocido',
+        'common.video': 'Vídeo',
+        'common.audio': 'Audio',
+        'status.downloading': 'Descargando...',
+        'status.done': 'Listo',
+        'status.failed': 'La descarga falló',
+        'status.cancelled': 'Cancelado',
+
+        // Backend health
+        'health.checking': 'Comprobando el servidor...',
+        'health.healthy': 'Servidor en línea',
+        'health.degraded': 'Servidor degradado',
+        'health.offline': 'Servidor sin conexión',
+        'health.checkNow': 'Comprobar el servidor ahora',
+        'health.notResponding': 'El servidor no responde.',
+        'health.unavailable': 'La vista previa y la descarga no están disponibles hasta que vuelva; se comprobará de nuevo automáticamente.',
+
+        // URL input
+        'url.placeholder': 'Pega aquí la URL de un vídeo o una lista de reproducción...',
+        'url.preview': 'Vista previa',
+        'url.examples': 'Ejemplos:',
+        'url.exampleVideo': 'Vídeo de YouTube',
+        'url.exampleShort': 'URL corta',
+        'url.examplePlaylist': 'Lista de reproducción',
+        'url.empty': 'Introduce la URL de un vídeo',
+        'url.invalid': 'Introduce una URL de vídeo válida. Compatibles: {sites}.',
+        'providers.direct': 'Enlace directo',
+        'loading.preview': 'Procesando la información del vídeo...',
+        'retry.countdown': 'Reintentando en {seconds} s... (intento {attempt} de {retries})',
+        'retry.now': 'Reintentando... (intento {attempt} de {retries})',
+
+        // Video preview
+        'preview.thumbnailAlt': 'Miniatura del vídeo',
+        'preview.refresh': 'Volver a cargar la información del vídeo',
+        'preview.untitled': 'Vídeo sin título',
+        'preview.by': 'De {uploader}',
+        'preview.views': { one: '{views} visualización', other: '{views} visualizaciones' },
+        'preview.likes': { one: '{likes} me gusta', other: '{likes} me gusta' },
+        'preview.cachedNow': 'Guardado en caché hace un momento',
+        'preview.cachedMinutes': 'Guardado en caché hace {count} min',
+
+        // Metadata export
+        'metadata.formatLabel': 'Formato de metadatos',
+        'metadata.nfo': 'NFO (Kodi/Jellyfin)',
+        'metadata.export': 'Exportar metadatos',
+        'metadata.thumbnailFormatLabel': 'Formato de la miniatura',
+        'metadata.originalFormat': 'Formato original',
+        'metadata.thumbnail': 'Descargar miniatura',
+        'metadata.fetchingThumbnail': 'Obteniendo la miniatura...',
+        'metadata.thumbnailFailed': 'No se pudo descargar la miniatura',
+        'metadata.imageFormatUnsupported': 'Este navegador no puede guardar imágenes como {format}',
+
+        // Clip
+        'clip.enable': 'Descargar solo una parte del vídeo',
+        'clip.startLabel': 'Inicio del fragmento',
+        'clip.endLabel': 'Fin del fragmento',
+        'clip.start': 'Inicio',
+        'clip.end': 'Fin',
+        'clip.length': 'Duración del fragmento {duration}',
+        'clip.errorFormat': 'Introduce el inicio y el fin como mm:ss',
+        'clip.errorNegative': 'El inicio no puede ser negativo',
+        'clip.errorOrder': 'El fin debe ser posterior al inicio',
+        'clip.errorTooLong': 'El fin supera la duración del vídeo ({duration})',
+
+        // Captions
+        'captions.title': 'Subtítulos',
+        'captions.embed': 'Incrustar las pistas seleccionadas en el vídeo',
+        'captions.formatLabel': 'Formato del archivo de subtítulos',
+        'captions.download': 'Descargar seleccionados',
+        'captions.showAuto': 'Mostrar generados automáticamente ({count})',
+        'captions.onlyAuto': 'Este vídeo solo tiene subtítulos generados automáticamente',
+        'captions.auto': 'Auto',
+        'captions.autoGenerated': 'Generados automáticamente',
+        'captions.preparing': 'Preparando subtítulos en {language}...',
+        'captions.noFile': 'No se recibió ningún archivo de subtítulos',
+        'captions.downloaded': { one: 'Descargado {count} archivo de subtítulos', other: 'Descargados {count} archivos de subtítulos' },
+        'captions.downloadedSome': 'Descargados {saved} de {count} archivos de subtítulos.',
+
+        // Quality and formats
+        'quality.title': 'Selecciona la calidad',
+        'quality.modeLabel': 'Modo de descarga',
+        'quality.convertTo': 'Convertir a',
+        'quality.bestAvailable': 'La mejor disponible',
+        'quality.bestAudio': 'Mejor audio',
+        'quality.upTo1080': 'Hasta 1080p',
+        'quality.upTo720': 'Hasta 720p',
+        'quality.upTo480': 'Hasta 480p',
+        'quality.upTo360': 'Hasta 360p',
+        'quality.downloadVideo': 'Descargar vídeo',
+        'quality.downloadAudio': 'Descargar audio',
+        'quality.selected': 'Calidad: {quality}',
+        'quality.selectedAudio': 'Audio: {label} → {format}',
+        'quality.size': 'Tamaño: {size}',
+        'quality.selectFirst': 'Selecciona primero una calidad de vídeo',
+        'formats.allFormats': 'Todos los formatos',
+        'formats.simpleView': 'Vista simple',
+        'formats.filterPlaceholder': 'Filtrar por calidad, contenedor o códec...',
+        'formats.filterLabel': 'Filtrar formatos',
+        'formats.hdrOnly': 'Solo HDR',
+        'formats.quality': 'Calidad',
+        'formats.container': 'Contenedor',
+        'formats.bitrate': 'Tasa de bits',
+        'formats.size': 'Tamaño',
+        'formats.none': 'No hay información detallada de formatos para este vídeo',
+        'formats.noMatch': 'Ningún formato coincide con el filtro',
+
+        // Download job and transfer
+        'job.queued': 'En cola',
+        'job.downloading': 'Descargando',
+        'job.merging': 'Uniendo',
+        'job.ready': 'Listo',
+        'transfer.starting': 'Iniciando la descarga...',
+        'transfer.bytes': '{received} de {total}',
+        'transfer.speed': '{speed}/s',
+        'transfer.eta': 'Quedan {duration}',
+        'transfer.cancelled': 'Descarga cancelada. Pulsa Descargar ahora para empezar de nuevo.',
+        'transfer.tryAgain': 'Pulsa Descargar ahora para intentarlo de nuevo.',
+
+        // Playlist
+        'playlist.selectAll': 'Seleccionar todo',
+        'playlist.quality': 'Calidad para todos los vídeos',
+        'playlist.download': 'Descargar seleccionados',
+        'playlist.videos': { one: '{count} vídeo', other: '{count} vídeos' },
+        'playlist.selected': '{selected} de {count} seleccionados',
+        'playlist.downloading': 'Descargando {current} de {count}...',
+        'playlist.done': '{completed} de {count} descargados',
+        'playlist.failed': { one: '{count} con error', other: '{count} con errores' },
+        'playlist.cancelled': { one: '{count} cancelado', other: '{count} cancelados' },
+        'playlist.previewFirst': 'Primero obtén la vista previa de una lista de reproducción',
+        'playlist.selectOne': 'Selecciona al menos un vídeo de la lista de reproducción',
+        'playlist.unsupported': 'Este servidor no admite listas de reproducción. Pega la URL de un solo vídeo.',
+
+        // Screen reader announcements
+        'a11y.previewReady': { one: '{title} está listo. {count} calidad disponible.', other: '{title} está listo. {count} calidades disponibles.' },
+        'a11y.playlistReady': { one: '{title}: {count} vídeo listo para descargar.', other: '{title}: {count} vídeos listos para descargar.' },
+        'a11y.downloadStarted': 'Preparando la descarga...',
+
+        // Result screens
+        'error.title': 'Error',
+        'success.title': '¡Descarga lista!',
+        'success.message': 'Tu vídeo se ha procesado correctamente.',
+        'success.downloadNow': 'Descargar ahora',
+
+        // Queue
+        'queue.add': 'Añadir a la cola',
+        'queue.title': 'Cola de descargas',
+        'queue.placeholder': 'Pega una o varias URL de vídeo, una por línea...',
+        'queue.qualityLabel': 'Calidad de los vídeos añadidos',
+        'queue.parallel': 'Descargas simultáneas',
+        'queue.pause': 'Pausar',
+        'queue.resume': 'Reanudar',
+        'queue.retryFailed': 'Reintentar fallidas',
+        'queue.clearFinished': 'Quitar terminadas',
+        'queue.empty': 'La cola está vacía',
+        'queue.done': '{done} de {count} terminadas',
+        'queue.downloading': '{count} descargando',
+        'queue.failed': { one: '{count} fallida', other: '{count} fallidas' },
+        'queue.paused': 'En pausa',
+        'queue.invalid': { one: 'No se añadió {count} URL no válida', other: 'No se añadieron {count} URL no válidas' },
+        'queue.moveUp': 'Subir',
+        'queue.moveDown': 'Bajar',
+
+        // History
+        'history.title': 'Historial de descargas',
+        'history.searchPlaceholder': 'Buscar por título, autor o ID del vídeo...',
+        'history.searchLabel': 'Buscar en el historial de descargas',
+        'history.qualityLabel': 'Filtrar por calidad',
+        'history.allQualities': 'Todas las calidades',
+        'history.export': 'Exportar JSON',
+        'history.import': 'Importar JSON',
+        'history.clear': 'Borrar',
+        'history.confirmClear': '¿Quitar todas las entradas del historial de descargas?',
+        'history.unavailable': 'El historial no está disponible en este navegador',
+        'history.empty': 'Todavía no hay descargas',
+        'history.summary': { one: '{shown} de {count} descarga', other: '{shown} de {count} descargas' },
+        'history.clip': 'Fragmento {start}–{end}',
+        'history.captions': 'Subtítulos: {languages}',
+        'history.downloadAgain': 'Descargar de nuevo',
+        'history.remove': 'Quitar del historial',
+        'history.imported': { one: 'Importada {count} descarga', other: 'Importadas {count} descargas' },
+        'history.importInvalidJSON': 'El archivo seleccionado no es un JSON válido',
+        'history.importWrongFile': 'El archivo seleccionado no es una exportación del historial de descargas',
+
+        // Settings
+        'settings.title': 'Configuración',
+        'settings.urlLabel': 'URL del servidor',
+        'settings.test': 'Probar conexión',
+        'settings.save': 'Guardar',
+        'settings.reset': 'Restablecer',
+        'motion.label': 'Animaciones',
+        'motion.system': 'Según el sistema',
+        'motion.reduce': 'Reducidas',
+        'motion.full': 'Completas',
+        'backend.using': 'Usando {url} ({source})',
+        'backend.source.query': 'definido por el parámetro ?backend= del enlace',
+        'backend.source.settings': 'guardado en este navegador',
+        'backend.source.config': 'de config.json',
+        'backend.source.default': 'mismo origen que esta página',
+        'backend.invalidURL': 'Introduce la URL completa del servidor, por ejemplo https://api.example.com',
+        'backend.connecting': 'Conectando con {url}...',
+        'backend.connected': 'Conexión correcta',
+        'backend.connectedStatus': 'Conexión correcta (estado: {status})',
+        'backend.failed': 'La conexión falló: {error}',
+        'backend.saved': 'Guardado. Las nuevas solicitudes usan este servidor.',
+        'backend.savedQueryWins': 'Guardado. El parámetro ?backend= del enlace sigue aplicándose a esta página.',
+        'backend.removed': 'Se quitó el servidor guardado.',
+
+        // API errors (see APIError.TYPES)
+        'errors.network': 'No se puede conectar con el servidor. Comprueba tu conexión a internet.',
+        'errors.offline': 'Estás sin conexión. Vuelve a conectarte a internet e inténtalo de nuevo.',
+        'errors.timeout': 'Se agotó el tiempo de espera. Comprueba tu conexión e inténtalo de nuevo.',
+        'errors.rate-limited': 'Demasiadas solicitudes. Espera un momento antes de volver a intentarlo.',
+        'errors.unavailable': 'Este vídeo no se puede descargar. Puede ser privado, haberse eliminado o tener restricciones.',
+        'errors.age-restricted': 'Este vídeo tiene restricción de edad y no se puede descargar.',
+        'errors.geo-blocked': 'Este vídeo no está disponible en la región del servidor.',
+        'errors.invalid-url': 'Este enlace no es compatible. Comprueba la URL e inténtalo de nuevo.',
+        'errors.server': 'Error del servidor. Inténtalo de nuevo más tarde.',
+        'errors.cancelled': 'Se canceló la solicitud.',
+        'errors.unknown': 'Error: {message}',
+        'errors.unknownDetail': 'Se produjo un error desconocido',
+        'actions.retry': 'Intentar de nuevo',
+        'actions.edit-url': 'Editar URL',
+        'actions.new-video': 'Probar otro vídeo',
+        'actions.dismiss': 'Volver'
+    }
+});
@@ -0,0 +1,282 @@
+/**
+ * Metadata export module.
+ * Turns preview information into sidecar files (JSON, NFO, CSV) and fetches full-resolution thumbnails.
+ */
+
+class MetadataExporter {
+    constructor() {
+        // Sidecar formats with their file extension and MIME type
+        this.formats = {
+            json: { extension: 'json', type: 'application/json' },
+            nfo: { extension: 'nfo', type: 'text/xml' },
+            csv: { extension: 'csv', type: 'text/csv' }
+        };
+
+        // Thumbnail formats the browser can encode to; 'original' keeps the source file
+        this.imageTypes = {
+            jpeg: 'image/jpeg',
+            png: 'image/png',
+            webp: 'image/webp'
+        };
+
+        // Columns of the CSV export, in order
+        this.csvColumns = [
+            'video_id',
+            'source',
+            'title',
+            'uploader',
+            'upload_date',
+            'duration',
+            'duration_formatted',
+            'view_count',
+            'like_count',
+            'url',
+            'thumbnail'
+        ];
+    }
+
+    /**
+     * Collect the exported fields from preview information
+     * @param {Object} videoInfo - Video information from API
+     * @param {string} url - Video URL
+     * @returns {Object} Metadata record
+     */
+    getMetadata(videoInfo, url) {
+        const parsed = videoAPI.parseURL(url);
+        const videoId = videoInfo.video_id || (parsed && parsed.videoId);
+
+        return {
+            video_id: videoId,
+            source: parsed ? parsed.provider.id : '',
+            title: videoInfo.title,
+            uploader: videoInfo.uploader,
+            upload_date: this.formatDate(videoInfo.upload_date),
+            description: videoInfo.description || '',
+            duration: videoInfo.duration,
+            duration_formatted: videoInfo.duration_formatted,
+            view_count: videoInfo.view_count,
+            like_count: videoInfo.like_count,
+            tags: Array.isArray(videoInfo.tags) ? videoInfo.tags : [],
+            url: parsed && parsed.videoId ? parsed.canonicalURL : url.trim(),
+            thumbnail: this.getThumbnailCandidates(videoInfo, parsed && parsed.provider.id === 'youtube' ? videoId : null)[0] || ''
+        };
+    }
+
+    /**
+     * Build a sidecar file for a video
+     * @param {Object} videoInfo - Video information from API
+     * @param {string} url - Video URL
+     * @param {string} format - 'json', 'nfo' or 'csv'
+     * @returns {{blob: Blob, filename: string}} File contents and suggested filename
+     */
+    export(videoInfo, url, format) {
+        const spec = this.formats[format];
+        if (!spec) {
+            throw new Error(`Unsupported metadata format: ${format}`);
+        }
+
+        const metadata = this.getMetadata(videoInfo, url);
+        const content = {
+            json: () => JSON.stringify(metadata, null, 2),
+            nfo: () => this.toNFO(metadata),
+            csv: () => this.toCSV([metadata])
+        }[format]();
+
+        return {
+            blob: new Blob([content], { type: spec.type }),
+            filename: `${this.getBaseName(metadata)}.${spec.extension}`
+        };
+    }
+
+    /**
+     * Build a Kodi/Jellyfin style NFO document
+     * @param {Object} metadata - Metadata record
+     * @returns {string} NFO (XML) document
+     */
+    toNFO(metadata) {
+        const tag = (name, value, attributes = '') => (value || value === 0)
+            ? `    <${name}${attributes}>${this.escapeXML(value)}</${name}>`
+            : null;
+
+        const lines = [
+            tag('title', metadata.title),
+            tag('plot', metadata.description),
+            tag('studio', metadata.uploader),
+            tag('director', metadata.uploader),
+            tag('premiered', metadata.upload_date),
+            tag('runtime', metadata.duration ? Math.round(metadata.duration / 60) : null),
+            tag('uniqueid', metadata.video_id, ` type="${this.escapeXML(metadata.source || 'unknown')}" default="true"`),
+            tag('thumb', metadata.thumbnail, ' aspect="thumb"'),
+            ...metadata.tags.map(value => tag('tag', value))
+        ].filter(Boolean);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+            '<movie>',
+            ...lines,
+            '</movie>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Build a CSV document with a header row
+     * @param {Array<Object>} records - Metadata records
+     * @returns {string} CSV document
+     */
+    toCSV(records) {
+        const cell = (value) => {
+            const text = value === undefined || value === null ? '' : String(value);
+
+            // Titles and uploader names are untrusted: keep spreadsheets from running them as formulas
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                return `"'${text.replace(/"/g, '""')}"`;
+            }
+
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            this.csvColumns.join(','),
+            ...records.map(record => this.csvColumns.map(column => cell(record[column])).join(','))
+        ].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * List thumbnail URLs, largest first
+     * @param {Object} videoInfo - Video information from API
+     * @param {string} youtubeId - YouTube video ID, adds the maxres thumbnail as a fallback (optional)
+     * @returns {Array<string>} Thumbnail URLs to try in order
+     */
+    getThumbnailCandidates(videoInfo, youtubeId = null) {
+        const sized = (Array.isArray(videoInfo.thumbnails) ? videoInfo.thumbnails : [])
+            .filter(thumbnail => thumbnail && thumbnail.url)
+            .sort((a, b) => (b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0))
+            .map(thumbnail => thumbnail.url);
+
+        const maxres = youtubeId ? [`https://i.ytimg.com/vi/${youtubeId}/maxresdefault.jpg`] : [];
+
+        return [...new Set([...sized, ...maxres, videoInfo.thumbnail].filter(Boolean))];
+    }
+
+    /**
+     * Fetch the largest available thumbnail, converted to the chosen format
+     * @param {Object} videoInfo - Video information from API
+     * @param {string} url - Video URL
+     * @param {string} format - 'original', 'jpeg', 'png' or 'webp'
+     * @returns {Promise<{blob: Blob, filename: string}>} Image and suggested filename
+     */
+    async fetchThumbnail(videoInfo, url, format) {
+        const metadata = this.getMetadata(videoInfo, url);
+        const candidates = this.getThumbnailCandidates(videoInfo, metadata.source === 'youtube' ? metadata.video_id : null);
+
+        let source = null;
+        for (const candidate of candidates) {
+            try {
+                const response = await fetch(candidate);
+                if (response.ok) {
+                    source = await response.blob();
+                    break;
+                }
+            } catch (error) {
+                // Blocked by CORS or offline: try the next candidate
+            }
+        }
+
+        if (!source) {
+            throw new Error(i18n.t('metadata.thumbnailFailed'));
+        }
+
+        const type = this.imageTypes[format];
+        const blob = type && type !== source.type ? await this.convertImage(source, type) : source;
+
+        return {
+            blob,
+            filename: `${this.getBaseName(metadata)}.${this.getImageExtension(blob.type)}`
+        };
+    }
+
+    /**
+     * Re-encode an image in another format
+     * @param {Blob} blob - Source image
+     * @param {string} type - Target MIME type
+     * @returns {Promise<Blob>} Converted image
+     */
+    async convertImage(blob, type) {
+        const bitmap = await createImageBitmap(blob);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(result => {
+                // Browsers fall back to PNG for types they can't encode
+                if (result && result.type === type) {
+                    resolve(result);
+                } else {
+                    reject(new Error(i18n.t('metadata.imageFormatUnsupported', { format: type.replace('image/', '').toUpperCase() })));
+                }
+            }, type, 0.92);
+        });
+    }
+
+    /**
+     * Get the file extension for an image MIME type
+     * @param {string} type - MIME type
+     * @returns {string} Extension
+     */
+    getImageExtension(type) {
+        return {
+            'image/jpeg': 'jpg',
+            'image/png': 'png',
+            'image/webp': 'webp'
+        }[type] || 'jpg';
+    }
+
+    /**
+     * Build a filesystem-safe base filename from the video title
+     * @param {Object} metadata - Metadata record
+     * @returns {string} Base filename without extension
+     */
+    getBaseName(metadata) {
+        const title = String(metadata.title || '')
+            .replace(/[\\/|]/g, '-')
+            .replace(/[:*?"<>\u0000-\u001f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 120);
+
+        return [title, metadata.video_id && `[${metadata.video_id}]`].filter(Boolean).join(' ') || 'video';
+    }
+
+    /**
+     * Convert a YYYYMMDD upload date to YYYY-MM-DD
+     * @param {string} date - Upload date from the backend
+     * @returns {string} ISO date, the input if it has another format, or an empty string
+     */
+    formatDate(date) {
+        const match = String(date || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : String(date || '');
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Create global metadata exporter instance
+const metadataExporter = new MetadataExporter();
+
+// Export for use in other modules
+window.metadataExporter = metadataExporter;
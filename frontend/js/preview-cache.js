@@ -0,0 +1,93 @@
+/**
+ * Preview cache module.
+ * Keeps normalized preview results by video ID in memory and IndexedDB.
+ */
+
+class PreviewCache {
+    constructor() {
+        this.storeName = 'previews';
+        this.memory = new Map();
+
+        // How long a cached preview stays valid, in ms
+        this.ttl = 30 * 60 * 1000;
+    }
+
+    /**
+     * Set how long cached previews stay valid
+     * @param {number} ttl - Time to live in ms (0 disables caching)
+     */
+    setTTL(ttl) {
+        this.ttl = Math.max(0, ttl);
+    }
+
+    /**
+     * Check whether a cache record is still valid
+     * @param {Object} record - Cache record ({ videoId, data, timestamp })
+     * @returns {boolean} True if the record has not expired
+     */
+    isFresh(record) {
+        return Boolean(record) && Date.now() - record.timestamp < this.ttl;
+    }
+
+    /**
+     * Get a cached preview
+     * @param {string} videoId - Video ID
+     * @returns {Promise<Object|null>} Cache record or null on a miss
+     */
+    async get(videoId) {
+        const cached = this.memory.get(videoId);
+        if (this.isFresh(cached)) {
+            return cached;
+        }
+        this.memory.delete(videoId);
+
+        try {
+            const stored = await appDatabase.get(this.storeName, videoId);
+            if (this.isFresh(stored)) {
+                this.memory.set(videoId, stored);
+                return stored;
+            }
+            if (stored) {
+                appDatabase.delete(this.storeName, videoId).catch(() => {});
+            }
+        } catch (error) {
+            // IndexedDB unavailable: the memory cache still works
+        }
+
+        return null;
+    }
+
+    /**
+     * Store a preview
+     * @param {string} videoId - Video ID
+     * @param {Object} data - Normalized preview data
+     */
+    async set(videoId, data) {
+        if (this.ttl === 0) return;
+
+        const record = { videoId, data, timestamp: Date.now() };
+        this.memory.set(videoId, record);
+
+        try {
+            await appDatabase.put(this.storeName, record);
+        } catch (error) {
+            // IndexedDB unavailable: the memory cache still works
+        }
+    }
+
+    /**
+     * Remove every cached preview
+     */
+    async clear() {
+        this.memory.clear();
+
+        try {
+            await appDatabase.clear(this.storeName);
+        } catch (error) {
+            // IndexedDB unavailable
+        }
+    }
+}
+
+// Export for use in other modules
+window.PreviewCache = PreviewCache;
@@ -0,0 +1,191 @@
+/**
+ * Source provider module.
+ * Each provider knows how to recognise its URLs; the registry picks the right one for a pasted link.
+ */
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = [];
+    }
+
+    /**
+     * Register a source provider
+     * Providers are tried in registration order, so catch-all providers go last.
+     * @param {Object} provider - Provider definition
+     * @param {string} provider.id - Short identifier, used to scope video IDs (e.g. 'vimeo')
+     * @param {string} provider.name - Display name
+     * @param {string} provider.icon - Icon shown next to the name
+     * @param {Function} provider.getVideoURL - Builds a video URL from an ID (optional, needed for playlists)
+     * @param {Function} provider.parse - Called with a URL, returns
+     *     { videoId, playlistId, startTime, kind, canonicalURL } or null if the URL isn't this provider's
+     */
+    register(provider) {
+        this.providers = this.providers.filter(existing => existing.id !== provider.id);
+        this.providers.push(provider);
+    }
+
+    /**
+     * List registered providers
+     * @returns {Array<Object>} Providers in matching order
+     */
+    list() {
+        return [...this.providers];
+    }
+
+    /**
+     * Get a provider by ID
+     * @param {string} id - Provider ID
+     * @returns {Object|undefined} Provider
+     */
+    get(id) {
+        return this.providers.find(provider => provider.id === id);
+    }
+
+    /**
+     * Find the provider for a URL and parse it
+     * @param {string} url - URL as typed or pasted
+     * @returns {Object|null} Parsed URL with `provider` and a globally unique `key` for the video, or null
+     */
+    parse(url) {
+        if (!url || typeof url !== 'string') {
+            return null;
+        }
+
+        for (const provider of this.providers) {
+            const parsed = provider.parse(url.trim());
+            if (parsed) {
+                // YouTube IDs stay unprefixed so existing history and cache entries keep matching
+                const key = parsed.videoId && provider.id !== 'youtube'
+                    ? `${provider.id}:${parsed.videoId}`
+                    : parsed.videoId;
+                return { ...parsed, key, provider };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a URL with the browser's URL parser, adding https:// when the scheme is missing
+     * @param {string} input - URL text
+     * @returns {URL|null} Parsed http(s) URL or null
+     */
+    toURL(input) {
+        try {
+            const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(input) ? input : `https://${input}`);
+            return url.protocol === 'https:' || url.protocol === 'http:' ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Create global provider registry instance
+const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register({
+    id: 'youtube',
+    name: 'YouTube',
+    icon: '▶️',
+    parse: url => youtubeURLParser.parse(url),
+    getVideoURL: id => `https://www.youtube.com/watch?v=${id}`
+});
+
+providerRegistry.register({
+    id: 'vimeo',
+    name: 'Vimeo',
+    icon: '🎞️',
+    parse(input) {
+        const url = providerRegistry.toURL(input);
+        if (!url) return null;
+
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        if (host !== 'vimeo.com' && host !== 'player.vimeo.com') return null;
+
+        // vimeo.com/123, vimeo.com/123/abcdef (unlisted), vimeo.com/channels/x/123, player.vimeo.com/video/123
+        const match = url.pathname.match(/^\/(?:video\/|channels\/[\w-]+\/|groups\/[\w-]+\/videos\/)?(\d{6,})(?:\/([\da-f]+))?\/?$/);
+        if (!match) return null;
+
+        const [, videoId, unlistedHash] = match;
+        const hash = unlistedHash || url.searchParams.get('h');
+        const time = new URLSearchParams(url.hash.replace(/^#/, '')).get('t');
+
+        return {
+            videoId,
+            playlistId: null,
+            startTime: time ? youtubeURLParser.parseTimestamp(time) : null,
+            kind: 'video',
+            canonicalURL: `https://vimeo.com/${videoId}${hash ? `/${hash}` : ''}`
+        };
+    }
+});
+
+providerRegistry.register({
+    id: 'dailymotion',
+    name: 'Dailymotion',
+    icon: '📺',
+    getVideoURL: id => `https://www.dailymotion.com/video/${id}`,
+    parse(input) {
+        const url = providerRegistry.toURL(input);
+        if (!url) return null;
+
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        const path = url.pathname;
+        let videoId = null;
+        let playlistId = null;
+
+        if (host === 'dai.ly') {
+            videoId = path.slice(1);
+        } else if (host === 'dailymotion.com' || host === 'geo.dailymotion.com') {
+            const videoMatch = path.match(/^\/(?:embed\/)?video\/([a-z0-9]+)/i) || (path === '/player.html' && [null, url.searchParams.get('video')]);
+            const playlistMatch = path.match(/^\/playlist\/([a-z0-9]+)/i);
+            videoId = videoMatch ? videoMatch[1] : null;
+            playlistId = playlistMatch ? playlistMatch[1] : url.searchParams.get('playlist');
+        } else {
+            return null;
+        }
+
+        if (videoId && !/^x[a-z0-9]{4,}$/i.test(videoId)) videoId = null;
+        if (playlistId && !/^x[a-z0-9]{4,}$/i.test(playlistId)) playlistId = null;
+        if (!videoId && !playlistId) return null;
+
+        return {
+            videoId,
+            playlistId,
+            startTime: videoId && url.searchParams.get('start') ? youtubeURLParser.parseTimestamp(url.searchParams.get('start')) : null,
+            kind: videoId ? 'video' : 'playlist',
+            canonicalURL: videoId
+                ? `https://www.dailymotion.com/video/${videoId}`
+                : `https://www.dailymotion.com/playlist/${playlistId}`
+        };
+    }
+});
+
+providerRegistry.register({
+    id: 'direct',
+    get name() {
+        return i18n.t('providers.direct');
+    },
+    icon: '🔗',
+    parse(input) {
+        const url = providerRegistry.toURL(input);
+        if (!url) return null;
+
+        const match = url.pathname.match(/\.(mp4|m4v|webm|mov|mkv|m3u8)$/i);
+        if (!match) return null;
+
+        const isHLS = match[1].toLowerCase() === 'm3u8';
+        const canonicalURL = url.href.replace(/#.*$/, '');
+
+        return {
+            videoId: canonicalURL,
+            playlistId: null,
+            startTime: null,
+            kind: isHLS ? 'hls' : 'file',
+            canonicalURL
+        };
+    }
+});
+
+// Export for use in other modules
+window.providerRegistry = providerRegistry;
@@ -0,0 +1,230 @@
+/**
+ * Download queue module for processing several videos.
+ * Runs queued downloads through the API with a configurable number of parallel requests.
+ */
+
+class DownloadQueue {
+    constructor() {
+        this.items = [];
+        this.concurrency = 2;
+        this.paused = false;
+        this.nextId = 1;
+
+        // Change listeners (called with the queue after every update)
+        this.listeners = [];
+    }
+
+    /**
+     * Register a listener for queue changes
+     * @param {Function} listener - Called with the queue whenever it changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners that the queue changed
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Add a video to the queue
+     * @param {string} url - Video URL
+     * @param {string} quality - Quality or quality rule for this video
+     * @param {string} formatId - Format ID (optional)
+     * @param {string} title - Display title (optional)
+     * @param {Object} options - Extra download options (optional)
+     * @param {string} options.audioFormat - Audio output format for audio-only downloads (optional)
+     * @param {Object} options.clip - Only download this range, as { start, end } in seconds (optional)
+     * @param {Array<Object>} options.captions - Caption tracks to embed, as { language, automatic } (optional)
+     * @returns {Object} Queued item
+     */
+    add(url, quality, formatId = null, title = null, options = {}) {
+        const item = {
+            id: this.nextId++,
+            url: url.trim(),
+            quality: quality,
+            formatId: formatId,
+            audioFormat: options.audioFormat || null,
+            clip: options.clip || null,
+            captions: options.captions || null,
+            title: title,
+            status: 'queued',
+            error: null,
+            filename: null
+        };
+
+        this.items.push(item);
+        this.notify();
+        this.process();
+
+        return item;
+    }
+
+    /**
+     * Find a queued item by ID
+     * @param {number} id - Item ID
+     * @returns {Object|undefined} Queued item
+     */
+    get(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    /**
+     * Remove an item from the queue
+     * Items that are currently downloading cannot be removed.
+     * @param {number} id - Item ID
+     */
+    remove(id) {
+        const item = this.get(id);
+        if (!item || item.status === 'downloading') return;
+
+        this.items = this.items.filter(queued => queued.id !== id);
+        this.notify();
+    }
+
+    /**
+     * Move an item up or down in the queue
+     * @param {number} id - Item ID
+     * @param {number} offset - Positions to move (-1 for up, 1 for down)
+     */
+    move(id, offset) {
+        const index = this.items.findIndex(item => item.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.items.length) return;
+
+        const [item] = this.items.splice(index, 1);
+        this.items.splice(target, 0, item);
+        this.notify();
+    }
+
+    /**
+     * Change the quality of an item that has not started yet
+     * @param {number} id - Item ID
+     * @param {string} quality - New quality or quality rule
+     */
+    setQuality(id, quality) {
+        const item = this.get(id);
+        if (!item || item.status === 'downloading' || item.status === 'done') return;
+
+        item.quality = quality;
+        item.formatId = null;
+        item.audioFormat = null;
+        this.notify();
+    }
+
+    /**
+     * Set how many downloads may run at the same time
+     * @param {number} concurrency - Number of parallel downloads
+     */
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+        this.notify();
+        this.process();
+    }
+
+    /**
+     * Stop starting new downloads (running downloads finish normally)
+     */
+    pause() {
+        this.paused = true;
+        this.notify();
+    }
+
+    /**
+     * Continue starting queued downloads
+     */
+    resume() {
+        this.paused = false;
+        this.notify();
+        this.process();
+    }
+
+    /**
+     * Put every failed item back into the queue
+     */
+    retryFailed() {
+        this.items.forEach(item => {
+            if (item.status === 'failed') {
+                item.status = 'queued';
+                item.error = null;
+            }
+        });
+        this.notify();
+        this.process();
+    }
+
+    /**
+     * Remove finished items from the queue
+     */
+    clearFinished() {
+        this.items = this.items.filter(item => item.status !== 'done');
+        this.notify();
+    }
+
+    /**
+     * Count items by status
+     * @returns {Object} Counts keyed by status
+     */
+    getCounts() {
+        return this.items.reduce((counts, item) => {
+            counts[item.status] = (counts[item.status] || 0) + 1;
+            return counts;
+        }, { queued: 0, downloading: 0, done: 0, failed: 0 });
+    }
+
+    /**
+     * Start queued downloads until the concurrency limit is reached
+     */
+    process() {
+        if (this.paused) return;
+
+        let active = this.getCounts().downloading;
+        for (const item of this.items) {
+            if (active >= this.concurrency) break;
+            if (item.status === 'queued') {
+                active++;
+                this.run(item);
+            }
+        }
+    }
+
+    /**
+     * Download a single queued item
+     * @param {Object} item - Queued item
+     */
+    async run(item) {
+        item.status = 'downloading';
+        this.notify();
+
+        try {
+            const response = await videoAPI.downloadVideo(item.url, item.quality, item.formatId, {
+                audioFormat: item.audioFormat,
+                clip: item.clip,
+                captions: item.captions
+            });
+
+            if (response.success) {
+                item.status = 'done';
+                item.filename = response.filename;
+            } else {
+                item.status = 'failed';
+                item.error = response.message || i18n.t('status.failed');
+            }
+        } catch (error) {
+            item.status = 'failed';
+            item.error = videoAPI.handleError(error);
+        }
+
+        this.notify();
+        this.process();
+    }
+}
+
+// Create global download queue instance
+const downloadQueue = new DownloadQueue();
+
+// Export for use in other modules
+window.downloadQueue = downloadQueue;
@@ -0,0 +1,112 @@
+/**
+ * Theme module.
+ * Picks the light, dark or high-contrast palette defined in style.css and remembers the user's choice.
+ * Loaded in the page head so the theme is applied before the first paint.
+ */
+
+class ThemeManager {
+    constructor() {
+        // Themes with a palette in style.css; 'system' picks light or dark from prefers-color-scheme
+        this.themes = ['light', 'dark', 'high-contrast'];
+        this.preferences = ['system', ...this.themes];
+
+        // localStorage key for the theme picked by the user
+        this.storageKey = 'videoDownloader.theme';
+        this.preference = 'system';
+        this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+        // Change listeners (called with the manager after the theme changes)
+        this.listeners = [];
+    }
+
+    /**
+     * Register a listener for theme changes
+     * @param {Function} listener - Called with the manager after the theme changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners that the theme changed
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    /**
+     * Load the saved preference, apply it and follow system changes while no theme is picked
+     */
+    init() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (this.themes.includes(saved)) this.preference = saved;
+        } catch (error) {
+            // Storage unavailable: follow the system setting
+        }
+
+        if (this.mediaQuery) {
+            this.mediaQuery.addEventListener('change', () => {
+                if (this.preference === 'system') this.apply();
+            });
+        }
+
+        this.apply();
+    }
+
+    /**
+     * Get the palette in use
+     * @returns {string} 'light', 'dark' or 'high-contrast'
+     */
+    getTheme() {
+        if (this.preference !== 'system') return this.preference;
+        return this.mediaQuery && this.mediaQuery.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Set the theme preference and remember it for the next visit
+     * @param {string} preference - 'system', 'light', 'dark' or 'high-contrast'
+     */
+    setPreference(preference) {
+        this.preference = this.preferences.includes(preference) ? preference : 'system';
+
+        try {
+            if (this.preference === 'system') {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, this.preference);
+            }
+        } catch (error) {
+            // Storage unavailable: the choice lasts for this page only
+        }
+
+        this.apply();
+    }
+
+    /**
+     * Move to the next preference, for the header toggle
+     * @returns {string} New preference
+     */
+    cycle() {
+        const index = this.preferences.indexOf(this.preference);
+        this.setPreference(this.preferences[(index + 1) % this.preferences.length]);
+        return this.preference;
+    }
+
+    /**
+     * Mark the page with the palette in use
+     */
+    apply() {
+        document.documentElement.dataset.theme = this.getTheme();
+        this.notify();
+    }
+}
+
+// Create global theme manager instance
+const themeManager = new ThemeManager();
+
+// Apply the theme right away, before the body is painted
+themeManager.init();
+
+// Export for use in other modules
+window.themeManager = themeManager;
@@ -0,0 +1,144 @@
+/**
+ * UI state module.
+ * Tracks which screen the app is on, rejects transitions the flow doesn't allow,
+ * and keeps the open video and quality in the address bar so links, reloads and Back work.
+ */
+
+class UIStateMachine {
+    constructor() {
+        this.state = 'idle';
+
+        // Change listeners (called with the machine and the previous state after every transition)
+        this.listeners = [];
+    }
+
+    /**
+     * Register a listener for state changes
+     * @param {Function} listener - Called with (machine, previousState) after every transition
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Notify listeners that the state changed
+     * @param {string} previous - State before the transition
+     */
+    notify(previous) {
+        this.listeners.forEach(listener => listener(this, previous));
+    }
+
+    /**
+     * Check whether the flow allows moving to a state
+     * Staying in the current state is always allowed.
+     * @param {string} next - Target state (one of UIStateMachine.TRANSITIONS)
+     * @returns {boolean} True if the transition is allowed
+     */
+    canTransition(next) {
+        return next === this.state || UIStateMachine.TRANSITIONS[this.state].includes(next);
+    }
+
+    /**
+     * Move to a state
+     * @param {string} next - Target state (one of UIStateMachine.TRANSITIONS)
+     * @returns {boolean} True if the app is now in that state, false if the transition was rejected
+     */
+    transition(next) {
+        if (!UIStateMachine.TRANSITIONS[next] || !this.canTransition(next)) {
+            return false;
+        }
+
+        if (next === this.state) return true;
+
+        const previous = this.state;
+        this.state = next;
+        this.notify(previous);
+        return true;
+    }
+
+    /**
+     * Read the video or playlist link from the address bar
+     *
+     * Examples:
+     *   ?v=dQw4w9WgXcQ&q=1080p                  -> { url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', quality: '1080p' }
+     *   ?list=PL...                             -> { url: 'https://www.youtube.com/playlist?list=PL...', quality: null }
+     *   ?url=https%3A%2F%2Fvimeo.com%2F123456   -> { url: 'https://vimeo.com/123456', quality: null }
+     *
+     * @returns {Object|null} { url, quality }, or null if the address bar doesn't name a video
+     */
+    readLink() {
+        const params = new URLSearchParams(window.location.search);
+        const quality = params.get('q') || null;
+
+        if (params.get('v') && youtubeURLParser.isVideoID(params.get('v'))) {
+            return { url: `https://www.youtube.com/watch?v=${params.get('v')}`, quality };
+        }
+
+        if (params.get('list') && youtubeURLParser.isPlaylistID(params.get('list'))) {
+            return { url: `https://www.youtube.com/playlist?list=${params.get('list')}`, quality: null };
+        }
+
+        if (params.get('url') && providerRegistry.parse(params.get('url'))) {
+            return { url: params.get('url'), quality };
+        }
+
+        return null;
+    }
+
+    /**
+     * Put a video or playlist link in the address bar
+     * Opening a different video adds a history entry; changing only the quality replaces the current one.
+     * Other parameters, such as ?backend=, are kept.
+     * @param {string|null} url - Video or playlist URL, or null to clear the link
+     * @param {string|null} quality - Quality to preselect (optional)
+     */
+    writeLink(url, quality = null) {
+        const params = new URLSearchParams(window.location.search);
+        const previous = ['v', 'list', 'url'].map(name => params.get(name)).join('|');
+        ['v', 'list', 'url', 'q'].forEach(name => params.delete(name));
+
+        const parsed = url ? providerRegistry.parse(url) : null;
+        if (parsed && parsed.provider.id === 'youtube') {
+            // Short YouTube links, as in ?v=VIDEO_ID; watch URLs with a list open as playlists, like a pasted link
+            if (!parsed.playlistId) {
+                params.set('v', parsed.videoId);
+            } else {
+                params.set('list', parsed.playlistId);
+            }
+        } else if (parsed) {
+            params.set('url', parsed.canonicalURL);
+        }
+
+        if (parsed && quality) {
+            params.set('q', quality);
+        }
+
+        const search = params.toString();
+        const next = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        if (next === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        const current = ['v', 'list', 'url'].map(name => params.get(name)).join('|');
+        if (current === previous) {
+            history.replaceState(history.state, '', next);
+        } else {
+            history.pushState(null, '', next);
+        }
+    }
+}
+
+// Screens and the screens each one can move to. Any screen can be reset to idle or fail with an error.
+UIStateMachine.TRANSITIONS = {
+    idle: ['loading', 'error'],
+    loading: ['idle', 'preview', 'playlist', 'error'],
+    preview: ['idle', 'loading', 'downloading', 'error'],
+    playlist: ['idle', 'loading', 'downloading', 'error'],
+    downloading: ['idle', 'loading', 'preview', 'playlist', 'success', 'error'],
+    success: ['idle', 'loading', 'preview', 'error'],
+    error: ['idle', 'loading', 'preview', 'playlist']
+};
+
+// Create global UI state instance
+const uiState = new UIStateMachine();
+
+// Export for use in other modules
+window.uiState = uiState;
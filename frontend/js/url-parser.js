@@ -0,0 +1,171 @@
+/**
+ * YouTube URL parser module.
+ * Turns any YouTube link (watch, youtu.be, Shorts, live, embed, mobile, music, nocookie, playlist)
+ * into one normalized result.
+ */
+
+class YouTubeURLParser {
+    constructor() {
+        // Hosts serving youtube.com style paths (compared without a leading "www.")
+        this.hosts = ['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com'];
+
+        // Hosts whose path is just the video ID
+        this.shortHosts = ['youtu.be'];
+
+        // Path prefixes followed by a video ID, with the URL kind they produce
+        this.pathKinds = {
+            shorts: 'short',
+            live: 'live',
+            embed: 'video',
+            v: 'video',
+            e: 'video'
+        };
+    }
+
+    /**
+     * Parse a YouTube URL
+     *
+     * Examples:
+     *   https://youtu.be/dQw4w9WgXcQ?t=42          -> { videoId, kind: 'video', startTime: 42 }
+     *   https://m.youtube.com/shorts/dQw4w9WgXcQ   -> { videoId, kind: 'short' }
+     *   youtube.com/playlist?list=PL...            -> { playlistId, kind: 'playlist' }
+     *
+     * @param {string} input - URL as typed or pasted (the scheme may be missing)
+     * @returns {Object|null} { videoId, playlistId, startTime, kind, canonicalURL },
+     *     or null if the input is not a YouTube video or playlist URL
+     */
+    parse(input) {
+        if (!input || typeof input !== 'string') {
+            return null;
+        }
+
+        let url;
+        try {
+            url = new URL(this.addScheme(input.trim()));
+        } catch (error) {
+            return null;
+        }
+
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            return null;
+        }
+
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        const [first, second] = url.pathname.split('/').filter(Boolean);
+        let videoId = null;
+        let kind = 'video';
+
+        if (this.shortHosts.includes(host)) {
+            videoId = first || null;
+        } else if (!this.hosts.includes(host)) {
+            return null;
+        } else if (first === 'attribution_link') {
+            // Shared links wrap the real watch path in the u parameter
+            const target = url.searchParams.get('u');
+            return target ? this.parse(`https://www.youtube.com${target.startsWith('/') ? '' : '/'}${target}`) : null;
+        } else if (first === 'watch') {
+            videoId = url.searchParams.get('v');
+        } else if (first === 'embed' && second === 'videoseries') {
+            // Embedded playlist: only the list parameter matters
+        } else if (this.pathKinds[first]) {
+            videoId = second || null;
+            kind = this.pathKinds[first];
+        } else if (first !== 'playlist') {
+            return null;
+        }
+
+        if (videoId !== null && !this.isVideoID(videoId)) {
+            return null;
+        }
+
+        const list = url.searchParams.get('list');
+        const playlistId = list && this.isPlaylistID(list) ? list : null;
+
+        if (!videoId && !playlistId) {
+            return null;
+        }
+
+        return {
+            videoId,
+            playlistId,
+            startTime: videoId ? this.getStartTime(url) : null,
+            kind: videoId ? kind : 'playlist',
+            canonicalURL: videoId
+                ? `https://www.youtube.com/watch?v=${videoId}`
+                : `https://www.youtube.com/playlist?list=${playlistId}`
+        };
+    }
+
+    /**
+     * Add https:// to URLs typed without a scheme
+     * @param {string} input - URL text
+     * @returns {string} URL with a scheme
+     */
+    addScheme(input) {
+        return /^[a-z][a-z\d+.-]*:\/\//i.test(input) ? input : `https://${input}`;
+    }
+
+    /**
+     * Check a video ID (exactly 11 URL-safe base64 characters)
+     * @param {string} id - Candidate video ID
+     * @returns {boolean} True if the ID is well-formed
+     */
+    isVideoID(id) {
+        return /^[A-Za-z0-9_-]{11}$/.test(id);
+    }
+
+    /**
+     * Check a playlist ID (PL…, UU…, OLAK5uy_…, RD… and similar)
+     * @param {string} id - Candidate playlist ID
+     * @returns {boolean} True if the ID is well-formed
+     */
+    isPlaylistID(id) {
+        return /^[A-Za-z0-9_-]{2,}$/.test(id);
+    }
+
+    /**
+     * Read the start time from the t= or start= parameter, in the query or the fragment
+     * @param {URL} url - Parsed URL
+     * @returns {number|null} Start time in seconds or null if there is none
+     */
+    getStartTime(url) {
+        const hash = new URLSearchParams(url.hash.replace(/^#/, ''));
+        const value = url.searchParams.get('t') || url.searchParams.get('start') || hash.get('t') || hash.get('start');
+
+        return value ? this.parseTimestamp(value) : null;
+    }
+
+    /**
+     * Parse a timestamp such as "90", "1:30", "1:02:03" or "1h2m3s"
+     * @param {string} value - Timestamp text
+     * @returns {number|null} Time in seconds, or null if the text is not a timestamp
+     */
+    parseTimestamp(value) {
+        const text = String(value || '').trim().toLowerCase();
+
+        // mm:ss or h:mm:ss (seconds may have a fraction)
+        const clockMatch = text.match(/^(?:(\d+):)?(\d+):(\d{1,2}(?:\.\d+)?)$/);
+        if (clockMatch) {
+            const [, hours = 0, minutes, seconds] = clockMatch;
+            if (Number(seconds) >= 60 || (clockMatch[1] !== undefined && Number(minutes) >= 60)) {
+                return null;
+            }
+            return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+        }
+
+        // Plain seconds or YouTube's 1h2m3s form
+        const unitMatch = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s?)?$/);
+        if (text && unitMatch) {
+            const [, hours = 0, minutes = 0, seconds = 0] = unitMatch;
+            return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+        }
+
+        return null;
+    }
+}
+
+// Create global URL parser instance
+const youtubeURLParser = new YouTubeURLParser();
+
+// Export for use in other modules
+window.youtubeURLParser = youtubeURLParser;
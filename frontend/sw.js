@@ -0,0 +1,155 @@
+/**
+ * Service worker for offline support.
+ * Precaches the app shell, serves it offline and caches video thumbnails.
+ *
+ * Bump CACHE_VERSION whenever a deployment changes any file in APP_SHELL:
+ * the new worker then installs alongside the old one, the page offers a reload,
+ * and the old caches are removed once the new worker takes over.
+ */
+
+const CACHE_VERSION = 'v31';
+const APP_SHELL_CACHE = `app-shell-${CACHE_VERSION}`;
+// Thumbnails don't depend on the app code, so they survive version bumps
+const THUMBNAIL_CACHE = 'thumbnails';
+
+// Maximum number of thumbnails kept in the cache
+const MAX_THUMBNAILS = 100;
+
+// Files that make up the app shell (relative to the worker's scope)
+const APP_SHELL = [
+    './',
+    './index.html',
+    './css/style.css',
+    './js/theme.js',
+    './js/dom.js',
+    './js/i18n.js',
+    './js/locales/en.js',
+    './js/locales/es.js',
+    './js/locales/ar.js',
+    './js/db.js',
+    './js/preview-cache.js',
+    './js/errors.js',
+    './js/url-parser.js',
+    './js/providers.js',
+    './js/ui-state.js',
+    './js/config.js',
+    './js/api.js',
+    './js/health.js',
+    './js/animations.js',
+    './js/queue.js',
+    './js/history.js',
+    './js/metadata.js',
+    './js/app.js'
+];
+
+// Hosts that serve video thumbnails
+const THUMBNAIL_HOSTS = ['i.ytimg.com', 'i9.ytimg.com', 'img.youtube.com', 'i.vimeocdn.com', 's1.dmcdn.net', 's2.dmcdn.net'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_SHELL_CACHE).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [APP_SHELL_CACHE, THUMBNAIL_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => !currentCaches.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    // The page asks a waiting worker to take over after the user accepts the update
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(serveAppShell(new Request('./index.html')));
+        return;
+    }
+
+    if (url.origin === self.location.origin && isAppShellRequest(url)) {
+        event.respondWith(serveAppShell(request));
+        return;
+    }
+
+    if (THUMBNAIL_HOSTS.includes(url.hostname)) {
+        event.respondWith(serveThumbnail(request));
+    }
+
+    // Everything else (API calls, downloads, fonts) goes straight to the network
+});
+
+/**
+ * Check whether a same-origin URL belongs to the app shell
+ * @param {URL} url - Request URL
+ * @returns {boolean} True if the file is precached
+ */
+function isAppShellRequest(url) {
+    const scope = new URL(self.registration.scope);
+    return APP_SHELL.some(path => new URL(path, scope).pathname === url.pathname);
+}
+
+/**
+ * Serve an app shell file from the cache, falling back to the network
+ * @param {Request} request - Request to serve
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function serveAppShell(request) {
+    const cache = await caches.open(APP_SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+/**
+ * Serve a thumbnail from the cache, fetching and caching it on a miss
+ * @param {Request} request - Thumbnail request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function serveThumbnail(request) {
+    const cache = await caches.open(THUMBNAIL_CACHE);
+    const cached = await cache.match(request);
+
+    // Opaque entries can't be read by a CORS fetch, such as the metadata export's; those go to the network
+    if (cached && (cached.type !== 'opaque' || request.mode === 'no-cors')) return cached;
+
+    const response = await fetch(request);
+
+    // Opaque responses (status 0) come from cross-origin <img> loads and are fine to cache for those;
+    // a readable response replaces them and serves both kinds of request
+    if (response.ok || (response.type === 'opaque' && request.mode === 'no-cors')) {
+        await cache.put(request, response.clone());
+        await trimCache(cache, MAX_THUMBNAILS);
+    }
+
+    return response;
+}
+
+/**
+ * Remove the oldest entries so the cache stays within its size limit
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Maximum number of entries to keep
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Accessibility checks for the main flow: URL entry, preview, quality picker, download and error.
+ * Loads index.html with its scripts in jsdom, answers API calls with canned responses
+ * and runs axe-core after every step; any violation fails the test.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole, requestInterceptor } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const origin = 'http://localhost:8000';
+
+// Canned backend answers; the error step switches the preview to a failure
+let previewFails = false;
+
+const videoInfo = {
+    title: 'Sample video',
+    uploader: 'Sample channel',
+    duration: 600,
+    view_count: 1200,
+    like_count: 34,
+    thumbnail: '',
+    formats: [
+        { quality: '1080p', format_id: '137', filesize_formatted: '50 MB' },
+        { quality: '720p', format_id: '22', filesize_formatted: '20 MB' },
+        { quality: '360p', format_id: '18', filesize_formatted: '8 MB' }
+    ]
+};
+
+async function fakeFetch(url) {
+    const json = (body, status = 200) => new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+
+    if (url.endsWith('/health')) return json({ status: 'ok' });
+    if (url.endsWith('/preview')) {
+        return previewFails
+            ? json({ detail: { code: 'AGE_RESTRICTED', message: 'Sign in to confirm your age' } }, 403)
+            : json(videoInfo);
+    }
+    if (url.endsWith('/download')) return json({ success: true, filename: 'sample.mp4' });
+    throw new TypeError('Failed to fetch');
+}
+
+// Serves the page's own scripts and styles from disk and blocks everything else
+const contentTypes = { '.js': 'text/javascript', '.css': 'text/css' };
+
+const serveLocalFiles = requestInterceptor((request) => {
+    const url = new URL(request.url);
+    const file = path.join(root, url.pathname);
+
+    if (url.origin !== origin || !file.startsWith(root) || !fs.existsSync(file)) {
+        return new Response(null, { status: 404 });
+    }
+
+    return new Response(fs.readFileSync(file), {
+        headers: { 'Content-Type': contentTypes[path.extname(file)] || 'application/octet-stream' }
+    });
+});
+
+let dom;
+let window;
+let document;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const $ = id => document.getElementById(id);
+
+/**
+ * Run axe over the whole page and fail with a readable list of violations
+ * @param {string} step - Step name for the failure message
+ */
+async function assertAccessible(step) {
+    // jsdom has no layout, so contrast can't be measured here
+    const results = await window.axe.run(document, { rules: { 'color-contrast': { enabled: false } } });
+    const violations = results.violations.map(violation =>
+        `${violation.id}: ${violation.help} (${violation.nodes.map(node => node.target.join(' ')).join(', ')})`
+    );
+
+    assert.equal(violations.length, 0, `Accessibility violations after ${step}:\n${violations.join('\n')}`);
+}
+
+before(async () => {
+    dom = await JSDOM.fromFile(path.join(root, 'index.html'), {
+        url: `${origin}/`,
+        runScripts: 'dangerously',
+        resources: { interceptors: [serveLocalFiles] },
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole(),
+        beforeParse(win) {
+            win.matchMedia = query => ({
+                matches: false,
+                media: query,
+                addEventListener() {},
+                removeEventListener() {}
+            });
+            win.fetch = fakeFetch;
+            win.Response = Response;
+            win.Headers = Headers;
+            win.AbortController = AbortController;
+        }
+    });
+
+    window = dom.window;
+    document = window.document;
+    await new Promise(resolve => window.addEventListener('load', resolve));
+    await wait(50);
+
+    window.eval(fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8'));
+});
+
+after(() => {
+    window.close();
+});
+
+test('URL entry', async () => {
+    assert.ok(window.videoDownloadApp, 'app initialized');
+    await assertAccessible('loading the page');
+});
+
+test('preview', async () => {
+    $('videoUrl').value = 'https://youtu.be/dQw4w9WgXcQ';
+    $('previewBtn').click();
+    await wait(200);
+
+    assert.equal(window.uiState.state, 'preview');
+    await assertAccessible('showing the preview');
+});
+
+test('quality radiogroup', async () => {
+    const group = $('qualityButtons');
+    const radios = [...group.querySelectorAll('[role="radio"]')];
+    assert.equal(group.getAttribute('role'), 'radiogroup');
+    assert.equal(radios.length, videoInfo.formats.length);
+
+    radios[0].focus();
+    radios[0].dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+
+    assert.equal(document.activeElement, radios[1]);
+    assert.equal(radios[1].getAttribute('aria-checked'), 'true');
+    assert.deepEqual(radios.map(radio => radio.tabIndex), [-1, 0, -1]);
+    await assertAccessible('choosing a quality with the keyboard');
+});
+
+test('download', async () => {
+    $('downloadBtn').click();
+    await wait(200);
+
+    assert.equal(window.uiState.state, 'success');
+    await assertAccessible('finishing the download');
+});
+
+test('error', async () => {
+    window.videoDownloadApp.reset();
+    previewFails = true;
+    $('videoUrl').value = 'https://youtu.be/aaaaaaaaaaa';
+    $('previewBtn').click();
+    await wait(200);
+
+    assert.equal(window.uiState.state, 'error');
+    await assertAccessible('showing an error');
+});
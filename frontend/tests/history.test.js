@@ -0,0 +1,85 @@
+/**
+ * Tests for download history import (js/history.js).
+ * The module is a browser script, so it runs in a VM context with an in-memory database
+ * and stub API and i18n globals.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// In-memory stand-in for the IndexedDB wrapper in js/db.js
+const rows = new Map();
+const appDatabase = {
+    async getAll() { return [...rows.values()]; },
+    async put(store, record) {
+        const id = record.id || rows.size + 1;
+        rows.set(id, { ...record, id });
+        return id;
+    },
+    async clear() { rows.clear(); }
+};
+
+const context = vm.createContext({
+    window: {},
+    appDatabase,
+    i18n: { t: key => key },
+    videoAPI: {
+        audioFormats: ['mp3', 'm4a', 'opus'],
+        extractVideoID: url => (url.match(/v=([\w-]{11})/) || [])[1] || null
+    }
+});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/history.js'), 'utf8'), context);
+const history = context.window.downloadHistory;
+
+beforeEach(() => rows.clear());
+
+test('importJSON() stores malformed fields as strings or drops them', async () => {
+    const imported = await history.importJSON(JSON.stringify({
+        entries: [{
+            url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+            videoId: 12345,
+            title: { text: 'Title' },
+            quality: 720,
+            formatId: 22,
+            audioFormat: { name: 'mp3' },
+            filename: ['a.mp4'],
+            timestamp: 1700000000000
+        }]
+    }));
+
+    assert.equal(imported, 1);
+    const [entry] = await history.list();
+    assert.equal(entry.videoId, '12345');
+    assert.equal(entry.quality, '720');
+    assert.equal(entry.formatId, '22');
+    assert.equal(entry.audioFormat, null);
+    assert.equal(entry.filename, 'a.mp4');
+    assert.equal(typeof entry.title, 'string');
+});
+
+test('importJSON() keeps supported audio formats and drops others', async () => {
+    await history.importJSON(JSON.stringify([
+        { url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa', audioFormat: 'opus', timestamp: 1 },
+        { url: 'https://www.youtube.com/watch?v=bbbbbbbbbbb', audioFormat: 'exe', timestamp: 2 }
+    ]));
+
+    const entries = await history.list();
+    assert.deepEqual(entries.map(entry => entry.audioFormat), [null, 'opus']);
+});
+
+test('list() searches imported entries with non-string fields', async () => {
+    await history.importJSON(JSON.stringify([
+        { url: 'https://example.com/video', videoId: 42, uploader: 7, timestamp: 1 }
+    ]));
+
+    assert.equal((await history.list({ query: '42' })).length, 1);
+    assert.equal((await history.list({ query: 'missing' })).length, 0);
+});
+
+test('importJSON() rejects files that are not history exports', async () => {
+    await assert.rejects(history.importJSON('not json'), { message: 'history.importInvalidJSON' });
+    await assert.rejects(history.importJSON('{"entries": 5}'), { message: 'history.importWrongFile' });
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for the metadata CSV export (js/metadata.js).
+ * The module is a browser script, so it runs in a VM context with a stub window.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({ window: {} });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/metadata.js'), 'utf8'), context);
+const exporter = context.window.metadataExporter;
+
+/**
+ * Export one record and return its data row
+ * @param {Object} record - Metadata record
+ * @returns {string} CSV data row
+ */
+const row = record => exporter.toCSV([record]).split('\r\n')[1];
+
+test('toCSV() neutralizes cells that spreadsheets would run as formulas', async (t) => {
+    const cases = [
+        ['=HYPERLINK("http://evil.example","x")', '"\'=HYPERLINK(""http://evil.example"",""x"")"'],
+        ['+1+1', '"\'+1+1"'],
+        ['-2+3', '"\'-2+3"'],
+        ['@SUM(A1:A2)', '"\'@SUM(A1:A2)"'],
+        ['\t=1', '"\'\t=1"'],
+        ['\r=1', '"\'\r=1"']
+    ];
+
+    for (const [title, expected] of cases) {
+        await t.test(JSON.stringify(title), () => {
+            assert.equal(row({ title }).split(',').slice(2).join(','), `${expected},,,,,,,,`);
+        });
+    }
+});
+
+test('toCSV() leaves ordinary cells and numbers alone', () => {
+    assert.equal(
+        row({ video_id: 'abc', title: 'Plain title', uploader: 'Name, with comma', duration: -1, view_count: 10 }),
+        'abc,,Plain title,"Name, with comma",,-1,,10,,,'
+    );
+});
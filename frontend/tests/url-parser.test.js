@@ -0,0 +1,153 @@
+/**
+ * Tests for the YouTube URL parser (js/url-parser.js).
+ * The module is a browser script, so it runs in a VM context with a stub window.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({ URL, URLSearchParams, window: {} });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/url-parser.js'), 'utf8'), context);
+const parser = context.window.youtubeURLParser;
+
+const ID = 'dQw4w9WgXcQ';
+const LIST = 'PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI';
+
+test('parse() normalizes supported URLs', async (t) => {
+    const cases = [
+        // [input, videoId, playlistId, startTime, kind]
+        [`https://www.youtube.com/watch?v=${ID}`, ID, null, null, 'video'],
+        [`youtube.com/watch?v=${ID}`, ID, null, null, 'video'],
+        [`http://youtube.com/watch?v=${ID}`, ID, null, null, 'video'],
+        [`  https://WWW.YouTube.com/watch?v=${ID}  `, ID, null, null, 'video'],
+        [`https://m.youtube.com/watch?v=${ID}&feature=share`, ID, null, null, 'video'],
+        [`https://music.youtube.com/watch?v=${ID}`, ID, null, null, 'video'],
+        [`https://www.youtube-nocookie.com/embed/${ID}`, ID, null, null, 'video'],
+        [`https://www.youtube.com/embed/${ID}?start=30`, ID, null, 30, 'video'],
+        [`https://www.youtube.com/v/${ID}`, ID, null, null, 'video'],
+        [`https://www.youtube.com/shorts/${ID}`, ID, null, null, 'short'],
+        [`https://m.youtube.com/shorts/${ID}?feature=share`, ID, null, null, 'short'],
+        [`https://www.youtube.com/live/${ID}`, ID, null, null, 'live'],
+        [`https://youtu.be/${ID}`, ID, null, null, 'video'],
+        [`https://youtu.be/${ID}?t=42`, ID, null, 42, 'video'],
+        [`https://youtu.be/${ID}?t=1m30s`, ID, null, 90, 'video'],
+        [`https://youtu.be/${ID}#t=1:02:03`, ID, null, 3723, 'video'],
+        [`https://www.youtube.com/watch?v=${ID}#t=90`, ID, null, 90, 'video'],
+        [`https://www.youtube.com/watch?v=${ID}&list=${LIST}`, ID, LIST, null, 'video'],
+        [`https://www.youtube.com/watch?v=${ID}&list=${LIST}&index=3&t=5`, ID, LIST, 5, 'video'],
+        [`https://www.youtube.com/playlist?list=${LIST}`, null, LIST, null, 'playlist'],
+        [`https://music.youtube.com/playlist?list=${LIST}`, null, LIST, null, 'playlist'],
+        [`https://www.youtube.com/embed/videoseries?list=${LIST}`, null, LIST, null, 'playlist'],
+        [`https://www.youtube.com/attribution_link?u=%2Fwatch%3Fv%3D${ID}%26feature%3Dshare`, ID, null, null, 'video']
+    ];
+
+    for (const [input, videoId, playlistId, startTime, kind] of cases) {
+        await t.test(input, () => {
+            const result = parser.parse(input);
+            assert.ok(result, 'expected a result');
+            assert.equal(result.videoId, videoId);
+            assert.equal(result.playlistId, playlistId);
+            assert.equal(result.startTime, startTime);
+            assert.equal(result.kind, kind);
+            assert.equal(result.canonicalURL, videoId ? `https://www.youtube.com/watch?v=${videoId}` : `https://www.youtube.com/playlist?list=${playlistId}`);
+        });
+    }
+});
+
+test('parse() rejects other input', async (t) => {
+    const cases = [
+        // Spoofed and unrelated hosts
+        `https://youtube.com.evil.com/watch?v=${ID}`,
+        `https://evil.com/youtube.com/watch?v=${ID}`,
+        `https://notyoutube.com/watch?v=${ID}`,
+        `https://youtu.be.evil.com/${ID}`,
+        `https://evil.com/?u=https://youtu.be/${ID}`,
+        `https://user@evil.com/watch?v=${ID}`,
+        // Video IDs that are too short, too long or contain bad characters
+        'https://www.youtube.com/watch?v=dQw4w9WgXc',
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQQ',
+        'https://www.youtube.com/watch?v=dQw4w9WgX%3C',
+        'https://youtu.be/dQw4w9WgX.Q',
+        'https://www.youtube.com/shorts/abc',
+        'https://www.youtube.com/watch?v=',
+        // Pages without a video or playlist
+        'https://www.youtube.com/',
+        'https://www.youtube.com/@channel',
+        'https://www.youtube.com/results?search_query=test',
+        'https://www.youtube.com/playlist',
+        'https://youtu.be/',
+        // Other schemes and garbage
+        `ftp://www.youtube.com/watch?v=${ID}`,
+        `javascript:alert(1)//youtube.com/watch?v=${ID}`,
+        ID,
+        'not a url',
+        'https://',
+        '   ',
+        '',
+        null,
+        undefined,
+        42,
+        {}
+    ];
+
+    for (const input of cases) {
+        await t.test(String(input), () => {
+            assert.equal(parser.parse(input), null);
+        });
+    }
+});
+
+test('isVideoID() accepts exactly 11 URL-safe characters', async (t) => {
+    const cases = [
+        [ID, true],
+        ['a-b_c-d_e-f', true],
+        ['00000000000', true],
+        ['dQw4w9WgXc', false],
+        ['dQw4w9WgXcQQ', false],
+        ['dQw4w9WgXc!', false],
+        ['dQw4w9WgX Q', false],
+        ['dQw4w9WgXc=', false],
+        ['', false]
+    ];
+
+    for (const [id, expected] of cases) {
+        await t.test(JSON.stringify(id), () => {
+            assert.equal(parser.isVideoID(id), expected);
+        });
+    }
+});
+
+test('parseTimestamp() reads seconds, clock and unit forms', async (t) => {
+    const cases = [
+        ['90', 90],
+        ['0', 0],
+        ['42s', 42],
+        ['1.5', 1.5],
+        ['1:30', 90],
+        ['01:05', 65],
+        ['1:02:03', 3723],
+        ['1:30.5', 90.5],
+        ['1h2m3s', 3723],
+        ['2m', 120],
+        ['1h', 3600],
+        ['1H30M', 5400],
+        [' 10 ', 10],
+        ['1:60', null],
+        ['1:60:00', null],
+        ['1:2:3:4', null],
+        ['-5', null],
+        ['abc', null],
+        ['1m2h', null],
+        ['', null],
+        [null, null]
+    ];
+
+    for (const [value, expected] of cases) {
+        await t.test(JSON.stringify(value), () => {
+            assert.equal(parser.parseTimestamp(value), expected);
+        });
+    }
+});